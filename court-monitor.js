@@ -0,0 +1,650 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fetchCourtData, detectChanges, describeSlot } from './lib/court-data.js';
+import { runFacilityCycles, isUnhealthy } from './lib/monitor.js';
+import { createStorage, createFacilityStorages } from './lib/storage/index.js';
+import { toSlot, filterSlots, compareStartTimes, QueryError } from './lib/court-query.js';
+import { summarizeVenue, averageFreeDuration, getSlotTimeline } from './lib/history-query.js';
+import { historyDir } from './lib/history.js';
+import { getFacility, enabledFacilities } from './lib/facilities.js';
+import { loadSnapshots } from './lib/snapshots.js';
+import { replaySnapshots } from './lib/replay.js';
+import { buildVenueRegistry, locateChange } from './lib/venues.js';
+import { buildCalendar, calendarFeedUrl } from './lib/ical.js';
+import { loadConfig, redactConfig, assertValidConfig, ConfigError } from './lib/config.js';
+import { buildHtmlReport, collectRecentlyFreed } from './lib/report.js';
+
+// court-monitor CLI
+//
+//   court-monitor check [--json]
+//   court-monitor search [--facility] [--district] [--venue] [--date] [--from] [--to] [--min-courts] [--live] [--json | --ics]
+//   court-monitor diff <snapshotA> <snapshotB> [--json]
+//   court-monitor watch add --name <name> [rule and channel options]
+//   court-monitor watch list [--json]
+//   court-monitor watch remove <id>
+//   court-monitor watch calendar <id>
+//   court-monitor history <venue> [--facility <id>] [--date <YYYY-MM-DD> --session <HH:MM>] [--json]
+//   court-monitor replay <snapshot file or dir>... [--subscribers <file>] [--interval <minutes>] [--start <ISO>] [--json]
+//   court-monitor report [--facility <id>...] [--hours <n>] [--live] [--out <file>]
+//   court-monitor config [--profile <name>] [--json]
+//
+// Library progress messages go to stderr so stdout only carries the command's output.
+
+const USAGE = `Usage: court-monitor <command> [options]
+
+Commands:
+  check                       Poll the LCSD feed once and print the changes
+  search                      Query the current snapshot
+      --facility <id>...      Facility types (default: FACILITIES, i.e. the monitored ones)
+      --district <name>...  --venue <text>...  --date <YYYY-MM-DD>
+      --from <HH:MM>  --to <HH:MM>  --min-courts <n>
+      --live                  Fetch the feed instead of reading the saved snapshot
+      --ics                   Print the open sessions as an iCalendar file
+  diff <snapshotA> <snapshotB>
+                              Detect changes between two saved snapshot files
+  watch add                   Add a subscription (stored in Firestore)
+      --name <name>  --facility <id>...  --venue <name>...  --district <name>...  --weekday <Mon>...
+      --from <HH:MM>  --to <HH:MM>  --min-courts <n>  --block-hours <n>
+      --near <lat,lng>  --radius <km>  --language <en|zh-HK>  --follow-ups  --digest
+      --quiet <HH:MM-HH:MM>  --urgent-hours <n>  --distant-hours <n>  --distant-channel <type>...
+      --push <token>  --telegram <chat id>  --discord <url>  --slack <url>
+      --email <address>  --webhook <url>
+  watch list                  List subscriptions
+  watch remove <id>           Delete a subscription
+  watch calendar <id>         Print the subscription's calendar feed URL (served by the API server)
+  history <venue>             Summarise when courts free up at a venue
+      --facility <id>         Facility type (default badminton)
+      --date <YYYY-MM-DD> --session <HH:MM>   Show one session's timeline instead
+  replay <snapshot>...        Replay recorded snapshots (files or SNAPSHOT_DIR directories)
+                              and report the alerts that would have fired
+      --subscribers <file>    JSON array of subscriber documents (default: one catch-all subscriber)
+      --interval <minutes>    Spacing of plain record arrays without timestamps (default 5)
+      --start <ISO time>      Time of the first plain record array (default now)
+  report                      Write the HTML availability report (heatmap, district filter, recently freed)
+      --facility <id>...      Facility types (default: FACILITIES)
+      --hours <n>             How far back "recently freed" looks (default REPORT_FREED_HOURS, 24)
+      --live                  Fetch the feed instead of reading the saved snapshot
+      --out <file>            Write the report to a file instead of stdout
+  config                      Validate and print the configuration (secrets redacted)
+      --profile <name>        Profile to resolve (default: COURT_MONITOR_PROFILE, see lib/config.js)
+
+Options:
+  --json                      Print JSON instead of text
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  live: { type: 'boolean' },
+  ics: { type: 'boolean' },
+  facility: { type: 'string', multiple: true },
+  district: { type: 'string', multiple: true },
+  venue: { type: 'string', multiple: true },
+  weekday: { type: 'string', multiple: true },
+  date: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  session: { type: 'string' },
+  'min-courts': { type: 'string' },
+  'block-hours': { type: 'string' },
+  near: { type: 'string' },
+  radius: { type: 'string' },
+  name: { type: 'string' },
+  language: { type: 'string' },
+  'follow-ups': { type: 'boolean' },
+  digest: { type: 'boolean' },
+  quiet: { type: 'string' },
+  'urgent-hours': { type: 'string' },
+  'distant-hours': { type: 'string' },
+  'distant-channel': { type: 'string', multiple: true },
+  push: { type: 'string' },
+  telegram: { type: 'string' },
+  discord: { type: 'string' },
+  slack: { type: 'string' },
+  email: { type: 'string' },
+  webhook: { type: 'string' },
+  subscribers: { type: 'string' },
+  interval: { type: 'string' },
+  start: { type: 'string' },
+  profile: { type: 'string' },
+  hours: { type: 'string' },
+  out: { type: 'string' }
+};
+
+class UsageError extends Error {}
+
+// Function to validate --facility values
+function readFacilities(values) {
+  try {
+    return values.map(value => getFacility(value).id);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+  print(JSON.stringify(value, null, 2));
+}
+
+// Function to read a numeric option; the whole value must be a number within [min, max]
+function readNumber(value, name, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const pattern = integer ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+  const number = Number(value);
+  if (!pattern.test(value) || !Number.isFinite(number) || number < min || number > max) {
+    const kind = integer ? 'a whole number' : 'a number';
+    throw new UsageError(`--${name} must be ${kind} ${max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`} (got "${value}")`);
+  }
+  return number;
+}
+
+function readInteger(value, name, range) {
+  return readNumber(value, name, { ...range, integer: true });
+}
+
+// Function to print rows as a fixed-width table
+function printTable(columns, rows) {
+  const widths = columns.map(({ label, value }) => Math.max(label.length, ...rows.map(row => String(value(row)).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  print(line(columns.map(column => column.label)));
+  print(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => print(line(columns.map(column => column.value(row)))));
+}
+
+function printChanges(changes, json) {
+  if (json) {
+    return printJson(changes);
+  }
+  if (changes.length === 0) {
+    return print('No changes');
+  }
+  changes.forEach(change => print(`${change.message}\n`));
+}
+
+function readSnapshot(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data)) {
+      throw new Error('expected a JSON array of court records');
+    }
+    return data;
+  } catch (error) {
+    throw new UsageError(`Cannot read snapshot ${file}: ${error.message}`);
+  }
+}
+
+async function check(args) {
+  const storages = await createFacilityStorages('file');
+  const result = await runFacilityCycles(storages);
+  if (!result) {
+    console.error('❌ Failed to fetch or save court data');
+    return 1;
+  }
+  printChanges(result.changes, args.values.json);
+  return isUnhealthy(result) ? 1 : 0;
+}
+
+// Function to load the saved snapshot of each --facility (or monitored) type, fetching the feed
+// when there is none or with --live; returns null when the feed could not be fetched
+async function loadCourtData(values) {
+  const data = [];
+  for (const facility of values.facility ? readFacilities(values.facility) : enabledFacilities()) {
+    let records = null;
+    if (!values.live) {
+      records = await (await createStorage('file', facility)).loadPreviousData();
+    }
+    if (!records) {
+      const fetched = await fetchCourtData({ facility });
+      if (!fetched) {
+        console.error(`❌ Failed to fetch ${facility} court data`);
+        return null;
+      }
+      records = fetched.data;
+    }
+    data.push(...records);
+  }
+  return data;
+}
+
+async function search(args) {
+  const { values } = args;
+  const filters = {
+    district: values.district,
+    venue: values.venue,
+    date: values.date,
+    from: values.from,
+    to: values.to,
+    minCourts: readInteger(values['min-courts'], 'min-courts')
+  };
+  const data = await loadCourtData(values);
+  if (!data) {
+    return 1;
+  }
+
+  if (values.ics) {
+    const registry = buildVenueRegistry(data);
+    const open = data
+      .filter(court => filterSlots([toSlot(court)], filters).length > 0)
+      .map(court => locateChange(describeSlot(court), registry));
+    process.stdout.write(buildCalendar(open));
+    return 0;
+  }
+
+  const slots = filterSlots(data.map(toSlot), filters).sort((a, b) => (
+    a.date.localeCompare(b.date) || compareStartTimes(a.startTime, b.startTime) || a.venue.localeCompare(b.venue)
+  ));
+
+  if (values.json) {
+    printJson(slots);
+  } else if (slots.length === 0) {
+    print('No matching sessions');
+  } else {
+    printTable([
+      { label: 'Sport', value: slot => getFacility(slot.facility).name },
+      { label: 'Date', value: slot => slot.date },
+      { label: 'Time', value: slot => `${slot.startTime}-${slot.endTime}` },
+      { label: 'Courts', value: slot => slot.courts },
+      { label: 'Venue', value: slot => slot.venue },
+      { label: 'District', value: slot => slot.district }
+    ], slots);
+  }
+  return 0;
+}
+
+async function diff(args) {
+  const [fileA, fileB] = args.positionals.slice(1);
+  if (!fileA || !fileB) {
+    throw new UsageError('diff needs two snapshot files');
+  }
+  printChanges(detectChanges(readSnapshot(fileB), readSnapshot(fileA)), args.values.json);
+  return 0;
+}
+
+// Function to build a subscription document from the watch add options
+function subscriberFromOptions(values) {
+  if (!values.name) {
+    throw new UsageError('watch add needs --name');
+  }
+
+  const rule = {};
+  if (values.facility) {
+    rule.facilities = readFacilities(values.facility);
+  }
+  if (values.venue) {
+    rule.venues = values.venue;
+  }
+  if (values.district) {
+    rule.districts = values.district;
+  }
+  if (values.weekday) {
+    rule.weekdays = values.weekday;
+  }
+  if (values.from || values.to) {
+    rule.startTime = { ...(values.from && { from: values.from }), ...(values.to && { to: values.to }) };
+  }
+  if (values['min-courts'] !== undefined) {
+    rule.minCourts = readInteger(values['min-courts'], 'min-courts', { min: 1, max: 50 });
+  }
+  if (values['block-hours'] !== undefined) {
+    rule.blockHours = readNumber(values['block-hours'], 'block-hours', { min: 0.5, max: 12 });
+  }
+  if (values.near !== undefined) {
+    const [lat, lng, extra] = values.near.split(',').map(part => part.trim());
+    if (lng === undefined || extra !== undefined) {
+      throw new UsageError('--near must be "<lat>,<lng>"');
+    }
+    rule.near = {
+      lat: readNumber(lat, 'near latitude', { min: -90, max: 90 }),
+      lng: readNumber(lng, 'near longitude', { min: -180, max: 180 }),
+      radiusKm: readNumber(values.radius, 'radius', { min: 0.1, max: 100 }) ?? 5
+    };
+  } else if (values.radius !== undefined) {
+    throw new UsageError('--radius needs --near');
+  }
+  if (values.digest) {
+    rule.digest = true;
+  }
+
+  const channels = [];
+  if (values.telegram) {
+    channels.push({ type: 'telegram', chatId: values.telegram });
+  }
+  if (values.discord) {
+    channels.push({ type: 'discord', webhookUrl: values.discord });
+  }
+  if (values.slack) {
+    channels.push({ type: 'slack', webhookUrl: values.slack });
+  }
+  if (values.email) {
+    channels.push({ type: 'email', to: values.email });
+  }
+  if (values.webhook) {
+    channels.push({ type: 'webhook', url: values.webhook });
+  }
+  if (!values.push && channels.length === 0) {
+    throw new UsageError('watch add needs at least one channel (--push, --telegram, --discord, --slack, --email or --webhook)');
+  }
+
+  const urgency = {};
+  if (values['urgent-hours'] !== undefined) {
+    urgency.urgentHours = readNumber(values['urgent-hours'], 'urgent-hours', { max: 24 });
+  }
+  if (values['distant-hours'] !== undefined) {
+    urgency.distantHours = readNumber(values['distant-hours'], 'distant-hours', { min: 1, max: 24 * 14 });
+  }
+  if (values['distant-channel']) {
+    urgency.distantChannels = values['distant-channel'];
+  }
+
+  let quietHours = null;
+  if (values.quiet) {
+    const [from, to] = values.quiet.split('-');
+    if (!/^\d{1,2}:\d{2}$/.test(from) || !/^\d{1,2}:\d{2}$/.test(to || '')) {
+      throw new UsageError('--quiet must be "<HH:MM>-<HH:MM>", e.g. 23:00-07:00');
+    }
+    quietHours = { from, to };
+  }
+
+  return {
+    name: values.name,
+    ...(values.push && { pushToken: values.push }),
+    channels,
+    rules: [rule],
+    language: values.language || 'en',
+    followUps: Boolean(values['follow-ups']),
+    ...(quietHours && { quietHours }),
+    ...(Object.keys(urgency).length > 0 && { urgency })
+  };
+}
+
+// Function to describe a watch rule in one line
+function describeRule(rule) {
+  const parts = [];
+  if (rule.facilities?.length) {
+    parts.push(`facilities=${rule.facilities.join('|')}`);
+  }
+  if (rule.venues?.length) {
+    parts.push(`venues=${rule.venues.join('|')}`);
+  }
+  if (rule.districts?.length) {
+    parts.push(`districts=${rule.districts.join('|')}`);
+  }
+  if (rule.weekdays?.length) {
+    parts.push(`weekdays=${rule.weekdays.join('|')}`);
+  }
+  if (rule.startTime) {
+    parts.push(`start=${rule.startTime.from || ''}-${rule.startTime.to || ''}`);
+  }
+  if (rule.minCourts) {
+    parts.push(`minCourts=${rule.minCourts}`);
+  }
+  if (rule.blockHours) {
+    parts.push(`blockHours=${rule.blockHours}`);
+  }
+  if (rule.near) {
+    parts.push(`near=${rule.near.lat},${rule.near.lng}~${rule.near.radiusKm ?? 5}km`);
+  }
+  if (rule.digest) {
+    parts.push('digest');
+  }
+  return parts.length > 0 ? parts.join(' ') : 'any availability';
+}
+
+async function watch(args) {
+  const [, action, id] = args.positionals;
+  // Options are checked before connecting, so a typo never reaches Firestore
+  const subscriber = action === 'add' ? subscriberFromOptions(args.values) : null;
+
+  // Loaded lazily so the other commands work without firebase-admin or credentials
+  const { getFirestore, closeFirebase } = await import('./lib/firebase.js');
+  const { listSubscriptions, addSubscription, removeSubscription, ensureCalendarToken } = await import('./lib/subscriptions.js');
+  const { subscriberChannels } = await import('./lib/notifiers/index.js');
+
+  try {
+    const db = getFirestore();
+    switch (action) {
+      case 'add': {
+        const newId = await addSubscription(db, subscriber);
+        print(args.values.json ? JSON.stringify({ id: newId }) : `Added subscription ${newId}`);
+        return 0;
+      }
+      case 'calendar': {
+        if (!id) {
+          throw new UsageError('watch calendar needs a subscription id');
+        }
+        const token = await ensureCalendarToken(db, id);
+        if (!token) {
+          console.error(`❌ No subscription with id ${id}`);
+          return 1;
+        }
+        print(args.values.json ? JSON.stringify({ id, url: calendarFeedUrl(token) }) : calendarFeedUrl(token));
+        return 0;
+      }
+      case 'list': {
+        const subscribers = await listSubscriptions(db);
+        if (args.values.json) {
+          printJson(subscribers.map(({ pushToken, channels, accessTokenHash, ...subscriber }) => ({
+            ...subscriber,
+            channels: subscriberChannels({ pushToken, channels }).map(channel => channel.type)
+          })));
+        } else if (subscribers.length === 0) {
+          print('No subscriptions');
+        } else {
+          subscribers.forEach(subscriber => {
+            const channels = subscriberChannels(subscriber).map(channel => channel.type).join(', ') || 'no channels';
+            print(`${subscriber.id}  ${subscriber.name || '(unnamed)'}${subscriber.enabled === false ? ' [disabled]' : ''}  (${channels})`);
+            (subscriber.rules?.length ? subscriber.rules : [{}]).forEach(rule => print(`    ${describeRule(rule)}`));
+            if (subscriber.quietHours) {
+              print(`    quiet ${subscriber.quietHours.from}-${subscriber.quietHours.to}`);
+            }
+          });
+        }
+        return 0;
+      }
+      case 'remove':
+        if (!id) {
+          throw new UsageError('watch remove needs a subscription id');
+        }
+        if (!(await removeSubscription(db, id))) {
+          console.error(`❌ No subscription with id ${id}`);
+          return 1;
+        }
+        print(`Removed subscription ${id}`);
+        return 0;
+      default:
+        throw new UsageError('watch needs one of: add, list, remove, calendar');
+    }
+  } finally {
+    await closeFirebase();
+  }
+}
+
+async function history(args) {
+  const venue = args.positionals[1];
+  if (!venue) {
+    throw new UsageError('history needs a venue name');
+  }
+  const { values } = args;
+  const options = { dir: historyDir(values.facility ? readFacilities(values.facility)[0] : undefined) };
+
+  if (values.date || values.session) {
+    if (!values.date || !values.session) {
+      throw new UsageError('--date and --session go together');
+    }
+    const timeline = getSlotTimeline(venue, values.date, values.session, options);
+    if (values.json) {
+      printJson(timeline);
+    } else if (!timeline) {
+      print('No history for that session');
+    } else {
+      print(`${timeline.venue} ${timeline.date} ${timeline.startTime}-${timeline.endTime}`);
+      timeline.points.forEach(point => print(`  ${point.time.toISOString()}  ${point.courts === null ? 'not in feed' : `${point.courts} courts`}`));
+    }
+    return 0;
+  }
+
+  const summary = summarizeVenue(venue, options);
+  if (values.json) {
+    printJson(summary);
+    return 0;
+  }
+  print(`${venue}: ${summary.openings} openings, ${summary.closings} closings`);
+  const average = averageFreeDuration({ venue, ...options });
+  print(`Average time a freed court stays free: ${average === null ? 'unknown' : `${average} minutes`}`);
+  if (summary.openings > 0) {
+    print('Openings by hour (Hong Kong time):');
+    Object.entries(summary.openingsByHour)
+      .sort(([a], [b]) => a - b)
+      .forEach(([hour, count]) => print(`  ${String(hour).padStart(2, '0')}:00  ${'#'.repeat(count)} ${count}`));
+  }
+  return 0;
+}
+
+async function replay(args) {
+  const paths = args.positionals.slice(1);
+  if (paths.length === 0) {
+    throw new UsageError('replay needs at least one snapshot file or directory');
+  }
+  const { values } = args;
+
+  const start = values.start ? new Date(values.start) : new Date();
+  if (Number.isNaN(start.getTime())) {
+    throw new UsageError('--start must be an ISO date/time');
+  }
+  const snapshots = loadSnapshots(paths, {
+    intervalMinutes: readInteger(values.interval, 'interval', { min: 1 }) ?? 5,
+    start
+  });
+  if (snapshots.length < 2) {
+    throw new UsageError('replay needs at least two snapshots to compare');
+  }
+
+  let subscribers;
+  if (values.subscribers) {
+    subscribers = JSON.parse(fs.readFileSync(values.subscribers, 'utf8'))
+      .map((subscriber, index) => ({ id: subscriber.id || `subscriber-${index + 1}`, ...subscriber }));
+  }
+  const { steps, alerts } = await replaySnapshots(snapshots, subscribers ? { subscribers } : {});
+
+  if (values.json) {
+    printJson({ steps, alerts });
+    return 0;
+  }
+  steps.forEach(step => {
+    const status = step.rejected ? 'rejected' : `${step.changes} changes`;
+    print(`${step.time}  ${step.records} records, ${status}, ${step.alerts.length} alerts`);
+    step.problems.forEach(problem => print(`    ⚠️ ${problem}`));
+    step.alerts.forEach(alert => {
+      print(`    → ${alert.subscriberId} [${alert.kind}] ${alert.title}`);
+      alert.body.split('\n').forEach(line => print(`      ${line}`));
+    });
+  });
+  print(`\n${alerts.length} alerts over ${steps.length} snapshots`);
+  return 0;
+}
+
+async function report(args) {
+  const { values } = args;
+  const hours = readNumber(values.hours, 'hours', { min: 1 });
+  const data = await loadCourtData(values);
+  if (!data) {
+    return 1;
+  }
+
+  const now = new Date();
+  const freed = collectRecentlyFreed({ currentData: data, hours, now });
+  const html = buildHtmlReport({ currentData: data, freed, generatedAt: now });
+  if (values.out) {
+    fs.writeFileSync(values.out, html);
+    console.error(`📊 Availability report written to ${values.out}`);
+  } else {
+    process.stdout.write(html);
+  }
+  return 0;
+}
+
+// Function to print the resolved configuration and where each setting came from
+async function showConfig(args) {
+  let loaded;
+  try {
+    loaded = loadConfig({ profile: args.values.profile });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+    throw error;
+  }
+
+  const settings = redactConfig(loaded.values);
+  if (args.values.json) {
+    printJson({ file: loaded.file || null, profile: loaded.profile, settings, sources: loaded.sources });
+    return 0;
+  }
+  print(`Profile: ${loaded.profile}`);
+  print(`Config file: ${loaded.file || 'none'}\n`);
+  const rows = Object.entries(settings).flatMap(([section, values]) => (
+    Object.entries(values).map(([key, value]) => ({ name: `${section}.${key}`, value }))
+  ));
+  printTable([
+    { label: 'Setting', value: row => row.name },
+    { label: 'Value', value: row => (row.value === null ? '-' : typeof row.value === 'string' ? row.value : JSON.stringify(row.value)) },
+    { label: 'Source', value: row => loaded.sources[row.name] }
+  ], rows);
+  return 0;
+}
+
+const COMMANDS = { check, search, diff, watch, history, replay, report, config: showConfig };
+
+// Main function
+async function main(argv) {
+  console.log = console.error;
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const command = COMMANDS[args.positionals[0]];
+  if (args.values.help) {
+    print(USAGE);
+    return 0;
+  }
+  if (!command) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    // `config` reports an invalid configuration itself, every other command refuses to run
+    if (command !== showConfig) {
+      assertValidConfig();
+    }
+    return await command(args);
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof QueryError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
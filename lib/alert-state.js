@@ -0,0 +1,199 @@
+import { sessionStart } from './hk-time.js';
+import { config } from './config.js';
+
+// Persistent per-subscriber alert state (Firestore `alert_state` collection, one document per subscriber)
+//
+// {
+//   alertedSlots: { '<slotKey>': { alertedAt: ISO, sessionStart: ISO, followedUpAt: ISO|null } },
+//   digestQueue: [<change>, ...],   // non-urgent matches waiting for the next digest
+//   digestDueAt: ISO|null,
+//   heldAlerts: [<change>, ...],    // alerts, low-priority alerts and follow-ups held during the
+//                                   // subscriber's quiet hours (change.heldAs: HELD_KINDS)
+//   heldUntil: ISO|null             // end of the quiet hours the alerts are held for
+// }
+//
+// alertedSlots drives the repeat-alert cooldown and "now gone" follow-ups; entries are dropped
+// once their session has started.
+
+export const ALERT_STATE_COLLECTION = 'alert_state';
+export const ALERT_COOLDOWN_MINUTES = config.alerts.cooldownMinutes;
+
+// What a held change is released as: a regular alert, a low-priority alert on the distant channels, or a follow-up
+export const HELD_KINDS = ['alert', 'low_priority', 'follow_up'];
+
+const DIGEST_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+export function emptyAlertState() {
+  return { alertedSlots: {}, digestQueue: [], digestDueAt: null, heldAlerts: [], heldUntil: null };
+}
+
+// Function to load the alert state of the given subscribers
+export async function loadAlertState(db, subscriberIds) {
+  const state = {};
+  subscriberIds.forEach(id => {
+    state[id] = emptyAlertState();
+  });
+  if (subscriberIds.length === 0) {
+    return state;
+  }
+
+  try {
+    const refs = subscriberIds.map(id => db.collection(ALERT_STATE_COLLECTION).doc(id));
+    const docs = await db.getAll(...refs);
+    docs.forEach(doc => {
+      if (doc.exists) {
+        state[doc.id] = { ...emptyAlertState(), ...doc.data() };
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error loading alert state from Firebase:', error);
+  }
+  return state;
+}
+
+// Function to save the alert state of every subscriber
+export async function saveAlertState(db, state) {
+  try {
+    const batch = db.batch();
+    Object.entries(state).forEach(([id, subscriberState]) => {
+      batch.set(db.collection(ALERT_STATE_COLLECTION).doc(id), subscriberState);
+    });
+    await batch.commit();
+    console.log(`🔕 Saved alert state for ${Object.keys(state).length} subscriptions`);
+  } catch (error) {
+    console.error('❌ Error saving alert state to Firebase:', error);
+  }
+}
+
+// Function to check whether a slot was alerted within the subscriber's cooldown
+export function inCooldown(subscriberState, change, cooldownMinutes, now = new Date()) {
+  const alerted = subscriberState.alertedSlots[change.slotKey];
+  return Boolean(alerted && now - new Date(alerted.alertedAt) < cooldownMinutes * 60 * 1000);
+}
+
+// Function to mark changes as alerted for a subscriber
+export function markAlerted(subscriberState, changes, now = new Date()) {
+  changes.filter(change => change.currentCount > 0).forEach(change => {
+    subscriberState.alertedSlots[change.slotKey] = {
+      alertedAt: now.toISOString(),
+      sessionStart: sessionStart(change.date, change.startTime).toISOString(),
+      followedUpAt: null
+    };
+  });
+}
+
+// Function to mark follow-ups as sent so a slot only gets one "now gone" message per alert
+export function markFollowedUp(subscriberState, changes, now = new Date()) {
+  changes.forEach(change => {
+    const alerted = subscriberState.alertedSlots[change.slotKey];
+    if (alerted) {
+      alerted.followedUpAt = now.toISOString();
+    }
+  });
+}
+
+// Function to check that a queued or held change's session has not started and is still available
+function isStillOpen(change, currentSlots, now) {
+  return sessionStart(change.date, change.startTime) > now &&
+    (!currentSlots || (change.slotKeys || [change.slotKey]).every(key => currentSlots.get(key) > 0));
+}
+
+// Function to check that a held follow-up still applies: the session has not started, the slot is
+// still gone and no follow-up went out for it meanwhile
+function isStillGone(subscriberState, change, currentSlots, now) {
+  const alerted = subscriberState.alertedSlots[change.slotKey];
+  return sessionStart(change.date, change.startTime) > now &&
+    Boolean(alerted && !alerted.followedUpAt) &&
+    (!currentSlots || !(currentSlots.get(change.slotKey) > 0));
+}
+
+// Function to queue non-urgent changes for the next digest (latest change per slot wins)
+// The digest falls due one interval after the first change was queued
+export function queueForDigest(subscriberState, changes, interval, now = new Date()) {
+  if (changes.length === 0) {
+    return;
+  }
+  if (subscriberState.digestQueue.length === 0) {
+    const period = DIGEST_INTERVALS[interval] || DIGEST_INTERVALS.hourly;
+    subscriberState.digestDueAt = new Date(now.getTime() + period).toISOString();
+  }
+  const queued = new Map(subscriberState.digestQueue.map(change => [change.slotKey, change]));
+  changes.forEach(change => queued.set(change.slotKey, change));
+  subscriberState.digestQueue = [...queued.values()];
+}
+
+// Function to take the queued digest changes once the digest is due
+// Entries whose session has started, or that are no longer available in the current snapshot, are dropped
+export function takeDueDigest(subscriberState, currentSlots = null, now = new Date()) {
+  if (!subscriberState.digestDueAt || now < new Date(subscriberState.digestDueAt)) {
+    return [];
+  }
+
+  const due = subscriberState.digestQueue.filter(change => isStillOpen(change, currentSlots, now));
+  subscriberState.digestQueue = [];
+  subscriberState.digestDueAt = null;
+  return due;
+}
+
+// Function to hold changes until the subscriber's quiet hours end (latest change per slot and kind wins)
+// kind is one of HELD_KINDS: what the change is sent as once released
+export function holdAlerts(subscriberState, changes, until, kind = 'alert') {
+  if (changes.length === 0) {
+    return;
+  }
+  const heldKey = change => `${change.heldAs || 'alert'}|${change.slotKey}`;
+  const held = new Map(subscriberState.heldAlerts.map(change => [heldKey(change), change]));
+  changes.forEach(change => {
+    const entry = { ...change, heldAs: kind };
+    held.set(heldKey(entry), entry);
+  });
+  subscriberState.heldAlerts = [...held.values()];
+  subscriberState.heldUntil = until.toISOString();
+}
+
+// Function to take the held changes once the quiet hours they were held for have ended
+// Returns { alert, low_priority, follow_up } lists. Held changes that expired meanwhile are dropped,
+// not sent late: alerts whose session started or that are no longer available, and follow-ups
+// whose session started or whose slot is available again.
+export function takeReleasedAlerts(subscriberState, currentSlots = null, now = new Date()) {
+  const released = Object.fromEntries(HELD_KINDS.map(kind => [kind, []]));
+  if (!subscriberState.heldUntil || now < new Date(subscriberState.heldUntil)) {
+    return released;
+  }
+
+  let dropped = 0;
+  subscriberState.heldAlerts.forEach(({ heldAs = 'alert', ...change }) => {
+    const current = heldAs === 'follow_up'
+      ? isStillGone(subscriberState, change, currentSlots, now)
+      : isStillOpen(change, currentSlots, now);
+    if (current) {
+      released[heldAs].push(change);
+    } else {
+      dropped++;
+    }
+  });
+  if (dropped > 0) {
+    console.log(`🌙 Dropped ${dropped} held alerts that expired during quiet hours`);
+  }
+  subscriberState.heldAlerts = [];
+  subscriberState.heldUntil = null;
+  return released;
+}
+
+// Function to drop alerted slots, queued changes and held alerts for sessions that have started
+export function pruneAlertState(subscriberState, now = new Date()) {
+  Object.entries(subscriberState.alertedSlots).forEach(([key, alerted]) => {
+    if (new Date(alerted.sessionStart) <= now) {
+      delete subscriberState.alertedSlots[key];
+    }
+  });
+  subscriberState.digestQueue = subscriberState.digestQueue.filter(change => (
+    sessionStart(change.date, change.startTime) > now
+  ));
+  subscriberState.heldAlerts = subscriberState.heldAlerts.filter(change => (
+    sessionStart(change.date, change.startTime) > now
+  ));
+}
@@ -0,0 +1,205 @@
+import http from 'http';
+import { toSlot, filterSlots, listVenues, listDistricts, validateFilters, QueryError } from './court-query.js';
+import { handleChangeStream } from './change-stream.js';
+import { buildVenueRegistry, locateChange } from './venues.js';
+import { renderPrometheus } from './metrics.js';
+import { describeSlot } from './court-data.js';
+import { openSlotsForSubscriber } from './subscriptions.js';
+import { buildCalendar } from './ical.js';
+import { buildHtmlReport, collectRecentlyFreed } from './report.js';
+import { config } from './config.js';
+
+// HTTP API over the monitor state (read-only, apart from the optional subscriber API)
+//
+//   GET /availability?facility=&district=&venue=&date=&from=&to=&minCourts=
+//   GET /changes?since=<event id | ISO timestamp>
+//   GET /stream (Server-Sent Events, see lib/change-stream.js)
+//   GET /venues
+//   GET /districts
+//   GET /health
+//   GET /metrics (Prometheus text format, see lib/metrics.js)
+//   GET /calendar.ics?facility=&district=&venue=&date=&from=&to=&minCourts= (open slots as iCalendar, see lib/ical.js)
+//   GET /calendar/<token>.ics (a subscriber's matching open slots; needs the findSubscriber option)
+//   GET /report.html (the HTML availability report of the current snapshot, see lib/report.js)
+//   /subscribers... (device registration and preferences; needs the subscriberApi option, see lib/subscriber-api.js)
+
+export const API_PORT = config.api.port ?? 3000;
+const HEALTH_MAX_AGE = config.api.healthMaxAgeSeconds * 1000;
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function sendCalendar(res, calendar) {
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(calendar);
+}
+
+function sendHtml(res, html) {
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(html);
+}
+
+// Function to serve a subscriber's calendar feed, looked up by the token in the URL
+async function handleSubscriberCalendar(state, findSubscriber, token, res) {
+  const subscriber = findSubscriber ? await findSubscriber(token) : null;
+  if (!subscriber || subscriber.enabled === false) {
+    return sendJson(res, 404, { error: 'Unknown calendar' });
+  }
+  const slots = openSlotsForSubscriber(state.snapshot, subscriber);
+  return sendCalendar(res, buildCalendar(slots, { name: `LCSD courts - ${subscriber.name || subscriber.id}` }));
+}
+
+// Function to read slot filters from the query string
+// Throws a QueryError on a malformed date, from, to or minCourts, which the handler answers with 400
+function readFilters(params) {
+  const filters = {};
+  ['facility', 'district', 'venue', 'date', 'from', 'to'].forEach(name => {
+    if (params.get(name)) {
+      filters[name] = params.get(name);
+    }
+  });
+  if (params.get('minCourts')) {
+    const minCourts = params.get('minCourts');
+    if (!/^\d+$/.test(minCourts.trim())) {
+      throw new QueryError(`Invalid "minCourts" value: ${minCourts} (expected a non-negative integer)`);
+    }
+    filters.minCourts = parseInt(minCourts, 10);
+  }
+  return validateFilters(filters);
+}
+
+// Function to describe whether the monitor is fetching data successfully
+export function healthStatus(state, now = new Date()) {
+  const age = state.lastSuccessfulFetch ? now - state.lastSuccessfulFetch : null;
+  let status = 'ok';
+  if (age === null) {
+    status = 'starting';
+  } else if (age > HEALTH_MAX_AGE) {
+    status = 'stale';
+  }
+
+  return {
+    status,
+    lastSuccessfulFetch: state.lastSuccessfulFetch?.toISOString() || null,
+    lastFetchAttempt: state.lastFetchAttempt?.toISOString() || null,
+    secondsSinceLastFetch: age === null ? null : Math.round(age / 1000),
+    lastError: state.lastError,
+    records: state.snapshot.length
+  };
+}
+
+// Function to create the request handler; exported separately so other servers can mount it
+// options.findSubscriber(token) resolves the subscriber of a calendar feed URL (or null)
+// options.subscriberApi(req, res, url) handles /subscribers requests (see lib/subscriber-api.js)
+export function createApiHandler(state, { findSubscriber, subscriberApi } = {}) {
+  return (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': subscriberApi ? 'GET, POST, PUT, PATCH, DELETE, OPTIONS' : 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      return res.end();
+    }
+    if (subscriberApi && (url.pathname === '/subscribers' || url.pathname.startsWith('/subscribers/'))) {
+      return subscriberApi(req, res, url);
+    }
+    if (req.method !== 'GET') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const calendarToken = url.pathname.match(/^\/calendar\/([\w-]+)\.ics$/)?.[1];
+    if (calendarToken) {
+      return handleSubscriberCalendar(state, findSubscriber, calendarToken, res).catch(error => {
+        console.error('❌ Error serving calendar feed:', error.message);
+        sendJson(res, 500, { error: 'Could not load the calendar' });
+      });
+    }
+
+    try {
+      switch (url.pathname) {
+        case '/availability': {
+          const slots = filterSlots(state.snapshot.map(toSlot), readFilters(url.searchParams));
+          return sendJson(res, 200, {
+            fetchedAt: state.lastSuccessfulFetch?.toISOString() || null,
+            count: slots.length,
+            slots
+          });
+        }
+        case '/changes': {
+          const changes = state.changesSince(url.searchParams.get('since'));
+          return sendJson(res, 200, { count: changes.length, changes });
+        }
+        case '/stream':
+          return handleChangeStream(state, req, res, url);
+        case '/venues': {
+          const registry = buildVenueRegistry(state.snapshot);
+          const venues = listVenues(state.snapshot.map(toSlot)).map(venue => ({
+            ...venue,
+            address: registry.get(venue.venue)?.address || null,
+            location: registry.get(venue.venue)?.location || null
+          }));
+          return sendJson(res, 200, { venues });
+        }
+        case '/calendar.ics': {
+          const filters = readFilters(url.searchParams);
+          const registry = buildVenueRegistry(state.snapshot);
+          const slots = state.snapshot
+            .filter(court => filterSlots([toSlot(court)], filters).length > 0)
+            .map(court => locateChange(describeSlot(court), registry));
+          return sendCalendar(res, buildCalendar(slots));
+        }
+        case '/report.html': {
+          const freed = collectRecentlyFreed({ currentData: state.snapshot, changes: state.changes });
+          return sendHtml(res, buildHtmlReport({ currentData: state.snapshot, freed }));
+        }
+        case '/districts':
+          return sendJson(res, 200, { districts: listDistricts(state.snapshot.map(toSlot)) });
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+          return res.end(renderPrometheus());
+        case '/health': {
+          const health = healthStatus(state);
+          return sendJson(res, health.status === 'ok' ? 200 : 503, health);
+        }
+        default:
+          return sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+      }
+    } catch (error) {
+      // A handler that already started its response (e.g. /stream) can only be ended
+      if (res.headersSent) {
+        console.error('❌ Error serving', url.pathname, error.message);
+        return res.end();
+      }
+      if (error instanceof QueryError) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      console.error('❌ Error serving', url.pathname, error.message);
+      return sendJson(res, 500, { error: 'Internal server error' });
+    }
+  };
+}
+
+// Function to start the API server
+export function startApiServer(state, port = API_PORT, options = {}) {
+  const server = http.createServer(createApiHandler(state, options));
+  server.listen(port, () => {
+    console.log(`🌐 API server listening on http://localhost:${port}`);
+  });
+  return server;
+}
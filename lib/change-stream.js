@@ -0,0 +1,80 @@
+import { filterSlots, validateFilters } from './court-query.js';
+import { config } from './config.js';
+
+// Server-Sent Events stream of change events
+//
+//   GET /stream?facility=&district=&venue=&date=&from=&to=&types=new_availability,sold_out
+//
+// Every event is sent as `id: <change id>` / `event: change` / `data: <change JSON>`.
+// Reconnecting clients resume with the Last-Event-ID header (or ?lastEventId=) and get
+// the buffered events they missed. A comment line is sent every STREAM_HEARTBEAT seconds.
+
+const HEARTBEAT_INTERVAL = config.api.streamHeartbeatSeconds * 1000;
+
+// Function to read stream filters from the query string
+function readStreamFilters(params) {
+  const filters = {};
+  ['facility', 'district', 'venue', 'date', 'from', 'to'].forEach(name => {
+    if (params.get(name)) {
+      filters[name] = params.get(name);
+    }
+  });
+  const types = params.get('types');
+  return { filters: validateFilters(filters), types: types ? types.split(',').map(type => type.trim()) : null };
+}
+
+// Function to check a change event against a client's filters
+function matchesStreamFilters(event, { filters, types }) {
+  if (types && !types.includes(event.type)) {
+    return false;
+  }
+  const slot = {
+    facility: event.facility,
+    venue: event.venue,
+    district: event.district,
+    date: event.date,
+    startTime: event.startTime,
+    courts: event.currentCount
+  };
+  return filterSlots([slot], filters).length === 1;
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Function to handle a /stream request; the connection stays open until the client leaves
+// A malformed filter or Last-Event-ID throws before any header is written, so the caller can answer 400
+export function handleChangeStream(state, req, res, url) {
+  const subscription = readStreamFilters(url.searchParams);
+  const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+  const missed = lastEventId ? state.changesSince(lastEventId) : [];
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(`retry: 5000\n\n`);
+
+  // Replay what the client missed while disconnected
+  missed
+    .filter(event => matchesStreamFilters(event, subscription))
+    .forEach(event => writeEvent(res, event));
+
+  const unsubscribe = state.onChanges(events => {
+    events
+      .filter(event => matchesStreamFilters(event, subscription))
+      .forEach(event => writeEvent(res, event));
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,386 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Monitor configuration
+//
+// Settings are resolved in this order, later sources winning:
+//   1. the defaults in CONFIG_SCHEMA
+//   2. the config file: COURT_MONITOR_CONFIG, or court-monitor.config.yaml / .yml / .json in the
+//      working directory when present (see court-monitor.config.example.yaml)
+//   3. the active profile of the config file (profiles.<name>, laid over the top-level settings)
+//   4. environment variables (empty values count as unset, so unset GitHub secrets fall through)
+//
+// The active profile is COURT_MONITOR_PROFILE, else the file's `profile` key, else "ci" on CI
+// (CI=true) and "local" elsewhere. Naming a profile the file does not define is an error, the
+// defaulted ones are optional.
+//
+// Every setting is validated against CONFIG_SCHEMA, and every problem is collected into one
+// ConfigError with a message per setting. Importing this module never stops the process: an
+// invalid configuration falls back to the defaults, and each entrypoint calls assertValidConfig
+// before anything runs. Secret settings are redacted by redactConfig.
+
+export const CONFIG_FILES = ['court-monitor.config.yaml', 'court-monitor.config.yml', 'court-monitor.config.json'];
+export const REDACTED = '[redacted]';
+
+export class ConfigError extends Error {
+  constructor(errors, { file = null, profile = null } = {}) {
+    const where = [file, profile && `profile ${profile}`].filter(Boolean).join(', ');
+    super(`Invalid configuration${where ? ` (${where})` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.errors = errors;
+    this.file = file;
+    this.profile = profile;
+  }
+}
+
+const isTime = value => /^\d{1,2}:\d{2}$/.test(value);
+
+// Setting types: how an environment variable is parsed, and what a valid value looks like
+const TYPES = {
+  string: { parse: value => value, check: value => typeof value === 'string' && value.length > 0, expected: 'a non-empty string' },
+  integer: { parse: Number, check: value => Number.isInteger(value) && value >= 0, expected: 'a whole number' },
+  number: { parse: Number, check: value => typeof value === 'number' && Number.isFinite(value) && value >= 0, expected: 'a non-negative number' },
+  boolean: {
+    parse: value => ({ true: true, false: false }[value.toLowerCase()] ?? value),
+    check: value => typeof value === 'boolean',
+    expected: 'true or false'
+  },
+  url: {
+    parse: value => value,
+    check: value => typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+    expected: 'a URL'
+  },
+  list: {
+    parse: value => value.split(',').map(item => item.trim()).filter(Boolean),
+    check: value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0),
+    expected: 'a list (comma separated in environment variables)'
+  },
+  json: {
+    parse: value => JSON.parse(value),
+    check: value => Boolean(value) && typeof value === 'object',
+    expected: 'a JSON object or array'
+  },
+  urlMap: {
+    check: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(url => TYPES.url.check(url)),
+    expected: 'a map of facility ids to URLs'
+  }
+};
+
+// Every setting: { type, env, default, secret, oneOf, check, expected }
+// A setting without a default is unset (null) unless configured.
+export const CONFIG_SCHEMA = {
+  fetch: {
+    url: { type: 'url', env: 'LCSD_API_URL' },
+    urls: { type: 'urlMap', envPrefix: 'LCSD_API_URL_', default: {} },
+    facilities: { type: 'list', env: 'FACILITIES', default: ['badminton'] },
+    retries: { type: 'integer', env: 'FETCH_RETRIES', default: 3, check: value => value >= 1, expected: 'at least 1' },
+    retryDelaySeconds: { type: 'number', env: 'FETCH_RETRY_DELAY', default: 5 },
+    timeoutSeconds: { type: 'number', env: 'FETCH_TIMEOUT', default: 60, check: value => value > 0, expected: 'more than 0' },
+    userAgent: {
+      type: 'string',
+      env: 'FETCH_USER_AGENT',
+      default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    },
+    quarantineFile: { type: 'string', env: 'QUARANTINE_FILE', default: 'quarantined_court_records.json' }
+  },
+  storage: {
+    backend: { type: 'string', env: 'STORAGE_BACKEND', oneOf: ['memory', 'file', 'firestore'] },
+    dataFile: { type: 'string', env: 'DATA_FILE', default: 'previous_court_data.json' },
+    runLeaseSeconds: { type: 'integer', env: 'RUN_LEASE_SECONDS', default: 600 }
+  },
+  firebase: {
+    projectId: { type: 'string', env: 'FIREBASE_PROJECT_ID' },
+    serviceAccountKey: { type: 'json', env: 'FIREBASE_SERVICE_ACCOUNT_KEY', secret: true }
+  },
+  history: {
+    enabled: { type: 'boolean', env: 'HISTORY_ENABLED', default: true },
+    dir: { type: 'string', env: 'HISTORY_DIR', default: 'court_history' },
+    retentionDays: { type: 'integer', env: 'HISTORY_RETENTION_DAYS', default: 30 }
+  },
+  snapshots: {
+    dir: { type: 'string', env: 'SNAPSHOT_DIR' },
+    retentionDays: { type: 'integer', env: 'SNAPSHOT_RETENTION_DAYS', default: 7 }
+  },
+  metrics: {
+    file: { type: 'string', env: 'METRICS_FILE', default: 'monitor_metrics.json' }
+  },
+  report: {
+    file: { type: 'string', env: 'REPORT_FILE' },
+    freedHours: { type: 'number', env: 'REPORT_FREED_HOURS', default: 24 }
+  },
+  logging: {
+    format: { type: 'string', env: 'LOG_FORMAT', default: 'text', oneOf: ['text', 'json'] },
+    level: { type: 'string', env: 'LOG_LEVEL', default: 'info', oneOf: ['debug', 'info', 'warn', 'error'] }
+  },
+  feedHealth: {
+    maxDrop: { type: 'number', env: 'FEED_MAX_DROP', default: 0.5, check: value => value <= 1, expected: 'a fraction from 0 to 1' },
+    staleHours: { type: 'number', env: 'FEED_STALE_HOURS', default: 6 },
+    maxFailures: { type: 'integer', env: 'FEED_MAX_FAILURES', default: 3 },
+    rebaselineAfter: { type: 'integer', env: 'FEED_REBASELINE_AFTER', default: 3 },
+    operatorChannels: { type: 'json', env: 'OPERATOR_CHANNELS', secret: true, check: Array.isArray, expected: 'a JSON array of channels' }
+  },
+  alerts: {
+    cooldownMinutes: { type: 'integer', env: 'ALERT_COOLDOWN_MINUTES', default: 30 },
+    urgentSessionHours: { type: 'number', env: 'URGENT_SESSION_HOURS', default: 3 },
+    distantSessionHours: { type: 'number', env: 'DISTANT_SESSION_HOURS' }
+  },
+  venues: {
+    coordinatesFile: { type: 'string', env: 'VENUE_COORDINATES_FILE' },
+    travelSpeedKmh: { type: 'number', env: 'TRAVEL_SPEED_KMH', default: 15, check: value => value > 0, expected: 'more than 0' },
+    travelBufferMinutes: { type: 'integer', env: 'TRAVEL_BUFFER_MINUTES', default: 10 }
+  },
+  api: {
+    port: { type: 'integer', env: 'API_PORT', check: value => value <= 65535, expected: 'a port number' },
+    healthMaxAgeSeconds: { type: 'integer', env: 'HEALTH_MAX_AGE', default: 900 },
+    streamHeartbeatSeconds: { type: 'integer', env: 'STREAM_HEARTBEAT', default: 15, check: value => value >= 1, expected: 'at least 1' },
+    calendarBaseUrl: { type: 'url', env: 'CALENDAR_BASE_URL' },
+    bookingUrl: { type: 'url', env: 'BOOKING_URL', default: 'https://www.smartplay.lcsd.gov.hk/' }
+  },
+  scheduler: {
+    pollInterval: { type: 'integer', env: 'POLL_INTERVAL', default: 300 },
+    fastPollInterval: { type: 'integer', env: 'FAST_POLL_INTERVAL', default: 60 },
+    pollJitter: { type: 'integer', env: 'POLL_JITTER', default: 20 },
+    releaseWindows: {
+      type: 'list',
+      env: 'RELEASE_WINDOWS',
+      default: ['07:00-07:30'],
+      check: value => value.every(range => range.split('-').length === 2 && range.split('-').every(isTime)),
+      expected: 'HH:MM-HH:MM ranges'
+    }
+  },
+  expo: {
+    pushToken: { type: 'string', env: 'EXPO_PUSH_TOKEN', secret: true },
+    accessToken: { type: 'string', env: 'EXPO_ACCESS_TOKEN', secret: true },
+    pushUrl: { type: 'url', env: 'EXPO_PUSH_URL', default: 'https://exp.host/--/api/v2/push/send' },
+    receiptsUrl: { type: 'url', env: 'EXPO_RECEIPTS_URL', default: 'https://exp.host/--/api/v2/push/getReceipts' }
+  },
+  telegram: {
+    botToken: { type: 'string', env: 'TELEGRAM_BOT_TOKEN', secret: true },
+    chatId: { type: 'string', env: 'TELEGRAM_CHAT_ID' },
+    apiUrl: { type: 'url', env: 'TELEGRAM_API_URL', default: 'https://api.telegram.org' }
+  },
+  discord: {
+    webhookUrl: { type: 'url', env: 'DISCORD_WEBHOOK_URL', secret: true }
+  },
+  slack: {
+    webhookUrl: { type: 'url', env: 'SLACK_WEBHOOK_URL', secret: true }
+  },
+  email: {
+    smtpUrl: { type: 'url', env: 'SMTP_URL', secret: true },
+    from: { type: 'string', env: 'EMAIL_FROM' }
+  },
+  webhook: {
+    secret: { type: 'string', env: 'WEBHOOK_SECRET', secret: true }
+  }
+};
+
+// Function to turn a facility id from an environment variable suffix or a config file key into
+// the id in lib/facilities.js, e.g. TABLE_TENNIS and table-tennis both become table_tennis
+function facilityKey(name) {
+  return name.trim().toLowerCase().replace(/-/g, '_');
+}
+
+// Function to list every setting as [section, key, definition]
+function eachSetting() {
+  return Object.entries(CONFIG_SCHEMA).flatMap(([section, settings]) => (
+    Object.entries(settings).map(([key, definition]) => [section, key, definition])
+  ));
+}
+
+// Function to find and parse the config file (YAML or JSON); returns null when there is none
+function readConfigFile(file) {
+  const found = file || CONFIG_FILES.find(name => fs.existsSync(name));
+  if (!found) {
+    return null;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(found, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`cannot read config file: ${error.message}`], { file: found });
+  }
+
+  try {
+    if (/\.ya?ml$/i.test(found)) {
+      // yaml is only needed when a YAML file is used
+      const require = createRequire(import.meta.url);
+      return { file: found, content: require('yaml').parse(text) || {} };
+    }
+    return { file: found, content: JSON.parse(text) };
+  } catch (error) {
+    const reason = error.code === 'MODULE_NOT_FOUND' ? 'the yaml package is not installed (npm install yaml)' : error.message;
+    throw new ConfigError([`cannot parse config file: ${reason}`], { file: found });
+  }
+}
+
+// Function to lay one layer of file settings over the resolved values, checking every key exists
+function applyFileLayer(values, sources, layer, label, errors, prefix = '') {
+  Object.entries(layer || {}).forEach(([section, settings]) => {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(`${prefix}${section} is not a known config section (expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      return;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${prefix}${section} should be an object of settings`);
+      return;
+    }
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!CONFIG_SCHEMA[section][key]) {
+        errors.push(`${prefix}${section}.${key} is not a known setting`);
+        return;
+      }
+      const definition = CONFIG_SCHEMA[section][key];
+      values[section][key] = definition.type === 'urlMap' && value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.entries(value).map(([facility, url]) => [facilityKey(facility), url]))
+        : value;
+      sources[`${section}.${key}`] = label;
+    });
+  });
+}
+
+// Function to describe a value in an error message, without echoing secrets
+function describeValue(value, definition) {
+  if (definition.secret) {
+    return 'a secret value';
+  }
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Function to build the configuration of the defaults alone
+// Returns { values, sources } like loadConfig
+export function defaultConfig() {
+  const values = {};
+  const sources = {};
+  eachSetting().forEach(([section, key, definition]) => {
+    values[section] = values[section] || {};
+    values[section][key] = definition.default ?? null;
+    sources[`${section}.${key}`] = 'default';
+  });
+  return { values, sources };
+}
+
+// Function to resolve and validate the configuration
+// Returns { values, sources, file, profile }; throws ConfigError listing every problem
+export function loadConfig({ env = process.env, file = env.COURT_MONITOR_CONFIG || null, profile = env.COURT_MONITOR_PROFILE || null } = {}) {
+  const { values, sources } = defaultConfig();
+  const raw = {}; // environment variable text, quoted in errors instead of the parsed value
+
+  const errors = [];
+  const loaded = readConfigFile(file);
+  const { profiles = {}, profile: fileProfile, ...settings } = loaded?.content || {};
+  const activeProfile = profile || fileProfile || (env.CI === 'true' ? 'ci' : 'local');
+  const context = { file: loaded?.file, profile: activeProfile };
+
+  applyFileLayer(values, sources, settings, loaded?.file, errors);
+  if (profiles[activeProfile]) {
+    applyFileLayer(values, sources, profiles[activeProfile], `profile ${activeProfile}`, errors, `profiles.${activeProfile}.`);
+  } else if (profile || fileProfile) {
+    const known = Object.keys(profiles);
+    errors.push(`profile "${activeProfile}" is not defined${known.length > 0 ? ` (the config file defines ${known.join(', ')})` : ' (no config file profiles)'}`);
+  }
+
+  // Environment variables win over the file
+  eachSetting().forEach(([section, key, definition]) => {
+    const name = `${section}.${key}`;
+    if (definition.envPrefix) {
+      Object.entries(env)
+        .filter(([variable, value]) => variable.startsWith(definition.envPrefix) && value)
+        .forEach(([variable, value]) => {
+          values[section][key] = { ...values[section][key], [facilityKey(variable.slice(definition.envPrefix.length))]: value };
+          sources[name] = `${definition.envPrefix}*`;
+        });
+      return;
+    }
+    if (!definition.env || !env[definition.env]) {
+      return;
+    }
+    try {
+      values[section][key] = TYPES[definition.type].parse(env[definition.env]);
+    } catch (error) {
+      values[section][key] = env[definition.env];
+    }
+    raw[name] = env[definition.env];
+    sources[name] = definition.env;
+  });
+
+  eachSetting().forEach(([section, key, definition]) => {
+    const name = `${section}.${key}`;
+    const value = values[section][key];
+    if (value === null || value === undefined) {
+      values[section][key] = null;
+      return;
+    }
+    if (definition.type === 'json' && typeof value === 'string') {
+      try {
+        values[section][key] = JSON.parse(value);
+      } catch (error) {
+        // Reported as the wrong type below
+      }
+    }
+    const type = TYPES[definition.type];
+    const from = sources[name] === 'default' ? '' : ` from ${sources[name]}`;
+    const got = describeValue(raw[name] ?? value, definition);
+    const resolved = values[section][key];
+    if (!type.check(resolved)) {
+      errors.push(`${name} should be ${type.expected} (got ${got}${from})`);
+    } else if (definition.oneOf && !definition.oneOf.includes(resolved)) {
+      errors.push(`${name} should be one of ${definition.oneOf.join(', ')} (got ${got}${from})`);
+    } else if (definition.check && !definition.check(resolved)) {
+      errors.push(`${name} should be ${definition.expected} (got ${got}${from})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors, context);
+  }
+  return { values, sources, ...context };
+}
+
+// Function to copy a configuration with every secret setting that is set replaced by REDACTED
+export function redactConfig(values) {
+  const redacted = {};
+  Object.entries(values).forEach(([section, settings]) => {
+    redacted[section] = {};
+    Object.entries(settings).forEach(([key, value]) => {
+      const secret = CONFIG_SCHEMA[section]?.[key]?.secret;
+      redacted[section][key] = secret && value !== null ? REDACTED : value;
+    });
+  });
+  return redacted;
+}
+
+// Function to load the configuration of this process
+// An invalid configuration leaves the defaults in place and is kept for assertValidConfig
+function loadProcessConfig() {
+  try {
+    return { ...loadConfig(), error: null };
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    return { ...defaultConfig(), file: error.file, profile: error.profile, error };
+  }
+}
+
+const active = loadProcessConfig();
+
+// Resolved settings of this process, e.g. config.fetch.timeoutSeconds
+export const config = active.values;
+
+// Where the settings came from: { file, profile, sources: { 'fetch.timeoutSeconds': 'FETCH_TIMEOUT', ... } }
+export const configOrigin = { file: active.file || null, profile: active.profile, sources: active.sources };
+
+// Function to throw the ConfigError of this process when its configuration is invalid
+// Entrypoints call it before doing anything and decide how to report the error and exit
+export function assertValidConfig() {
+  if (active.error) {
+    throw active.error;
+  }
+}
+
+// Function to describe the configuration in one log line
+export function describeConfigOrigin() {
+  return `⚙️ Config profile ${configOrigin.profile}${configOrigin.file ? ` from ${path.basename(configOrigin.file)}` : ' (no config file)'}`;
+}
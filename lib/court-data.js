@@ -0,0 +1,265 @@
+import fetch from 'node-fetch';
+import { parseJsonArrayStream } from './json-stream.js';
+import { validateCourtRecord, reportQuarantined } from './court-schema.js';
+import { DEFAULT_LOCALE, getTemplates, formatChangeMessage, formatGroupedMessages, groupChanges, titleSport } from './i18n.js';
+import { increment, observe, setGauge } from './metrics.js';
+import { DEFAULT_FACILITY, getFacility, facilityUrl, facilityOf, facilityNamespace } from './facilities.js';
+import { config } from './config.js';
+
+// Longest notification body before further venue groups are summarised
+const MAX_BODY_LENGTH = 1500;
+
+// Shared LCSD court data logic used by every monitor entrypoint
+
+// Function to fetch one facility type's court data from LCSD API with retry logic (see lib/facilities.js)
+// Sends If-None-Match / If-Modified-Since when validators from the previous fetch are given.
+// Returns { data, notModified, etag, lastModified, quarantined }, or null when every attempt failed;
+// data is null when the server answered 304 Not Modified. Records are tagged with Facility_Type.
+// Retries, delays, the timeout and the User-Agent come from the fetch config (see lib/config.js).
+export async function fetchCourtData({ etag = null, lastModified = null, facility = DEFAULT_FACILITY } = {}) {
+  const maxRetries = config.fetch.retries;
+  const retryDelay = config.fetch.retryDelaySeconds * 1000;
+  const { id, name } = getFacility(facility);
+  const url = facilityUrl(id);
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const startedAt = Date.now();
+    try {
+      console.log(`Fetching ${name.toLowerCase()} court data from LCSD API... (Attempt ${attempt}/${maxRetries})`);
+      console.log(`API URL: ${url}`);
+      
+      const headers = {
+        'Accept': 'application/json, text/plain, */*',
+        'User-Agent': config.fetch.userAgent,
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Cache-Control': 'no-cache',
+      };
+      if (etag) {
+        headers['If-None-Match'] = etag;
+      }
+      if (lastModified) {
+        headers['If-Modified-Since'] = lastModified;
+      }
+      
+      const response = await fetch(url, {
+        method: 'GET',
+        headers,
+        timeout: config.fetch.timeoutSeconds * 1000, // large data transfer
+      });
+
+      console.log(`Response status: ${response.status}`);
+
+      if (response.status === 304) {
+        console.log('✅ Court data file unchanged since last fetch');
+        observe('court_monitor_fetch_duration_seconds', (Date.now() - startedAt) / 1000, { facility: id });
+        return { data: null, notModified: true, etag, lastModified, quarantined: [] };
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      console.log('📥 Starting to read response data...');
+      const { data, quarantined, bytes } = await readCourtRecords(response.body);
+      data.forEach(record => {
+        record.Facility_Type = id;
+      });
+      console.log(`✅ Successfully fetched ${data.length} ${name.toLowerCase()} court records`);
+      console.log(`📊 Data size: ${bytes} bytes`);
+      reportQuarantined(quarantined);
+      observe('court_monitor_fetch_duration_seconds', (Date.now() - startedAt) / 1000, { facility: id });
+      setGauge('court_monitor_fetch_bytes', bytes, { facility: id });
+      
+      return {
+        data,
+        notModified: false,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        quarantined
+      };
+    } catch (error) {
+      console.error(`Error fetching court data (Attempt ${attempt}/${maxRetries}):`, error.message);
+      
+      if (attempt === maxRetries) {
+        console.error('All retry attempts failed');
+        increment('court_monitor_fetch_failures_total', { facility: id });
+        return null;
+      }
+      
+      increment('court_monitor_fetch_retries_total', { facility: id });
+      console.log(`Retrying in ${retryDelay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+}
+
+// Function to stream-parse and validate the records of a response body
+export async function readCourtRecords(body) {
+  let bytes = 0;
+  const counted = (async function* () {
+    for await (const chunk of body) {
+      bytes += chunk.length;
+      yield chunk;
+    }
+  })();
+
+  const data = [];
+  const quarantined = [];
+  let index = 0;
+  for await (const record of parseJsonArrayStream(counted)) {
+    const errors = validateCourtRecord(record);
+    if (errors.length > 0) {
+      quarantined.push({ index, record, errors });
+    } else {
+      data.push(record);
+    }
+    index++;
+  }
+
+  return { data, quarantined, bytes };
+}
+
+// Function to test basic internet connectivity before hitting the LCSD API
+export async function checkConnectivity() {
+  console.log('🔍 Testing basic connectivity...');
+  try {
+    await fetch('https://httpbin.org/get', { timeout: 5000 });
+    console.log('✅ Basic internet connectivity: OK');
+  } catch (error) {
+    console.log('❌ Basic internet connectivity failed:', error.message);
+  }
+}
+
+// Function to build the key identifying a venue session slot
+// Keys of facilities other than badminton are prefixed with the facility id, e.g. "tennis:Victoria Park-..."
+export function slotKey(court) {
+  const namespace = facilityNamespace(facilityOf(court));
+  return `${namespace ? `${namespace}:` : ''}${court.Venue_Name_EN}-${court.Available_Date}-${court.Session_Start_Time}`;
+}
+
+// Change types reported by detectChanges
+export const AVAILABILITY_CHANGE_TYPES = ['new_availability', 'increased_availability', 'slot_added'];
+export const GONE_CHANGE_TYPES = ['sold_out', 'slot_removed'];
+export const CHANGE_TYPES = [...AVAILABILITY_CHANGE_TYPES, 'decreased_availability', ...GONE_CHANGE_TYPES];
+// Back-to-back sessions found by lib/session-blocks.js (not part of the per-slot change feed)
+export const BLOCK_CHANGE_TYPE = 'block_available';
+
+// Function to build a change record for a venue session slot
+function buildChange(type, court, currentCount, previousCount) {
+  const change = {
+    type,
+    slotKey: slotKey(court),
+    facility: facilityOf(court),
+    venue: court.Venue_Name_EN,
+    venueTC: court.Venue_Name_TC?.trim(),
+    district: court.District_Name_EN?.trim(),
+    districtTC: court.District_Name_TC?.trim(),
+    date: court.Available_Date,
+    time: `${court.Session_Start_Time}-${court.Session_End_Time}`,
+    startTime: court.Session_Start_Time,
+    currentCount,
+    previousCount
+  };
+  if (type === 'increased_availability') {
+    change.increase = currentCount - previousCount;
+  }
+  change.message = formatChangeMessage(change);
+  return change;
+}
+
+// Function to describe a slot of a snapshot in the same shape as a change (for queries and exports)
+export function describeSlot(court) {
+  const count = parseInt(court.Available_Courts || 0);
+  return buildChange('new_availability', court, count, count);
+}
+
+// Function to detect changes and format notifications
+export function detectChanges(currentData, previousData) {
+  const changes = [];
+  
+  if (!previousData) {
+    console.log('First run - storing initial data');
+    return changes;
+  }
+
+  console.log('🔍 Comparing with previous data...');
+  
+  // Create a map of previous data for quick lookup
+  const previousMap = new Map();
+  previousData.forEach(court => {
+    previousMap.set(slotKey(court), court);
+  });
+
+  // Check for changes in current data
+  const currentKeys = new Set();
+  currentData.forEach(currentCourt => {
+    const key = slotKey(currentCourt);
+    const previousCourt = previousMap.get(key);
+    const currentAvailable = parseInt(currentCourt.Available_Courts || 0);
+    currentKeys.add(key);
+    
+    if (!previousCourt) {
+      // Session newly published in the feed
+      changes.push(buildChange('slot_added', currentCourt, currentAvailable, 0));
+      return;
+    }
+
+    const previousAvailable = parseInt(previousCourt.Available_Courts || 0);
+    
+    if (currentAvailable > 0 && previousAvailable === 0) {
+      // New courts available
+      changes.push(buildChange('new_availability', currentCourt, currentAvailable, 0));
+    } else if (currentAvailable > previousAvailable && previousAvailable > 0) {
+      // More courts available
+      changes.push(buildChange('increased_availability', currentCourt, currentAvailable, previousAvailable));
+    } else if (currentAvailable === 0 && previousAvailable > 0) {
+      // Last courts booked
+      changes.push(buildChange('sold_out', currentCourt, 0, previousAvailable));
+    } else if (currentAvailable < previousAvailable) {
+      // Some courts booked
+      changes.push(buildChange('decreased_availability', currentCourt, currentAvailable, previousAvailable));
+    }
+  });
+
+  // Sessions that dropped out of the feed
+  previousMap.forEach((previousCourt, key) => {
+    if (!currentKeys.has(key)) {
+      changes.push(buildChange('slot_removed', previousCourt, 0, parseInt(previousCourt.Available_Courts || 0)));
+    }
+  });
+
+  return changes;
+}
+
+// Function to format notification content in a subscriber's language
+// Sessions are grouped by sport, venue and date; groups are added until the body reaches
+// MAX_BODY_LENGTH, and the rest is summarised as "... and N more changes".
+// Pass a digest interval ('hourly' / 'daily') to title the message as a digest.
+export function formatNotificationContent(changes, locale = DEFAULT_LOCALE, { digest = null } = {}) {
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const templates = getTemplates(locale);
+  
+  // Follow-ups about courts that went away get their own wording
+  const gone = changes.every(change => GONE_CHANGE_TYPES.includes(change.type));
+  const available = changes.every(change => AVAILABILITY_CHANGE_TYPES.includes(change.type) || change.type === BLOCK_CHANGE_TYPE);
+  const kind = gone ? 'gone' : available ? 'available' : 'update';
+  const sport = titleSport(changes, locale);
+  const title = digest ? templates.title.digest(changes.length, digest, sport) : templates.title[kind](changes.length, sport);
+  
+  const blocks = formatGroupedMessages(changes, locale);
+  let body = blocks[0];
+  let included = 1;
+  while (included < blocks.length && body.length + blocks[included].length + 2 <= MAX_BODY_LENGTH) {
+    body += `\n\n${blocks[included]}`;
+    included++;
+  }
+  if (included < blocks.length) {
+    const remaining = groupChanges(changes).slice(included).reduce((count, group) => count + group.length, 0);
+    body += `\n\n${templates.more(remaining)}`;
+  }
+
+  return { title, body, changes };
+}
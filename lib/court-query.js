@@ -0,0 +1,125 @@
+import { facilityOf } from './facilities.js';
+import { toMinutes } from './hk-time.js';
+
+// Filtering and listing over a court data snapshot
+
+function normalise(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// Function to order session start times; the feed does not zero-pad hours ("9:00" comes before "21:00")
+export function compareStartTimes(a, b) {
+  return toMinutes(a) - toMinutes(b);
+}
+
+// Function to turn a raw LCSD record into a slot object
+export function toSlot(court) {
+  return {
+    facility: facilityOf(court),
+    venue: court.Venue_Name_EN,
+    district: court.District_Name_EN?.trim(),
+    date: court.Available_Date,
+    startTime: court.Session_Start_Time,
+    endTime: court.Session_End_Time,
+    courts: parseInt(court.Available_Courts || 0)
+  };
+}
+
+// A malformed filter or query value; the HTTP API answers it with 400 rather than 500
+export class QueryError extends Error {}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+function isTime(value) {
+  const [, hours, minutes] = String(value).trim().match(TIME_PATTERN) || [];
+  return hours !== undefined && parseInt(hours, 10) <= 24 && parseInt(minutes, 10) < 60;
+}
+
+// Function to check the date, start time range and court count filters, throwing a QueryError for a malformed one
+// A filter that could not be compared would otherwise be ignored and match every slot
+export function validateFilters(filters = {}) {
+  const { date, from, to, minCourts } = filters;
+  if (date && !(DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(date)))) {
+    throw new QueryError(`Invalid "date" value: ${date} (expected YYYY-MM-DD)`);
+  }
+  [['from', from], ['to', to]].forEach(([name, value]) => {
+    if (value && !isTime(value)) {
+      throw new QueryError(`Invalid "${name}" value: ${value} (expected HH:MM)`);
+    }
+  });
+  if (minCourts !== undefined && !(Number.isInteger(minCourts) && minCourts >= 0)) {
+    throw new QueryError(`Invalid "minCourts" value: ${minCourts} (expected a non-negative integer)`);
+  }
+  return filters;
+}
+
+function toList(value) {
+  return [].concat(value ?? []).filter(Boolean).map(normalise);
+}
+
+// Function to filter slots by facility type, district, venue (substring match), date, start time range and court count
+// district and venue take one value or a list of them; a slot matches any value of the list
+// Throws a QueryError for a malformed date, from, to or minCourts (see validateFilters)
+export function filterSlots(slots, filters = {}) {
+  const { facility, district, venue, date, from, to, minCourts } = validateFilters(filters);
+  const districts = toList(district);
+  const venues = toList(venue);
+  return slots.filter(slot => {
+    if (facility && normalise(slot.facility) !== normalise(facility).replace(/-/g, '_')) {
+      return false;
+    }
+    if (districts.length > 0 && !districts.includes(normalise(slot.district))) {
+      return false;
+    }
+    if (venues.length > 0 && !venues.some(text => normalise(slot.venue).includes(text))) {
+      return false;
+    }
+    if (date && slot.date !== date) {
+      return false;
+    }
+    if (from && toMinutes(slot.startTime) < toMinutes(from)) {
+      return false;
+    }
+    if (to && toMinutes(slot.startTime) > toMinutes(to)) {
+      return false;
+    }
+    if (minCourts !== undefined && slot.courts < minCourts) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// Function to list venues with their district, facility types and slot counts
+export function listVenues(slots) {
+  const venues = new Map();
+  slots.forEach(slot => {
+    if (!venues.has(slot.venue)) {
+      venues.set(slot.venue, { venue: slot.venue, district: slot.district, facilities: [], slots: 0, availableSlots: 0 });
+    }
+    const entry = venues.get(slot.venue);
+    if (!entry.facilities.includes(slot.facility)) {
+      entry.facilities.push(slot.facility);
+    }
+    entry.slots++;
+    if (slot.courts > 0) {
+      entry.availableSlots++;
+    }
+  });
+  return [...venues.values()].sort((a, b) => a.venue.localeCompare(b.venue));
+}
+
+// Function to list districts with their venues
+export function listDistricts(slots) {
+  const districts = new Map();
+  slots.forEach(slot => {
+    if (!districts.has(slot.district)) {
+      districts.set(slot.district, new Set());
+    }
+    districts.get(slot.district).add(slot.venue);
+  });
+  return [...districts.entries()]
+    .map(([district, venues]) => ({ district, venues: [...venues].sort() }))
+    .sort((a, b) => String(a.district).localeCompare(String(b.district)));
+}
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import { config } from './config.js';
+
+// Explicit schema for LCSD court records
+//
+// Rows failing validation are quarantined instead of being compared, so a malformed row
+// can neither crash the monitor nor produce NaN court counts.
+
+export const QUARANTINE_FILE = config.fetch.quarantineFile;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+const COUNT_PATTERN = /^\d+$/;
+
+const nonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+export const COURT_RECORD_SCHEMA = {
+  Venue_Name_EN: { required: true, check: nonEmptyString, expected: 'a non-empty string' },
+  District_Name_EN: { required: true, check: nonEmptyString, expected: 'a non-empty string' },
+  Available_Date: {
+    required: true,
+    check: value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+    expected: 'a YYYY-MM-DD date'
+  },
+  Session_Start_Time: { required: true, check: value => TIME_PATTERN.test(value), expected: 'an HH:MM time' },
+  Session_End_Time: { required: true, check: value => TIME_PATTERN.test(value), expected: 'an HH:MM time' },
+  Available_Courts: {
+    required: true,
+    check: value => COUNT_PATTERN.test(String(value).trim()),
+    expected: 'a non-negative integer'
+  },
+  Venue_Name_TC: { required: false, check: value => typeof value === 'string', expected: 'a string' },
+  District_Name_TC: { required: false, check: value => typeof value === 'string', expected: 'a string' },
+  Venue_Address_EN: { required: false, check: value => typeof value === 'string', expected: 'a string' },
+  Venue_Address_TC: { required: false, check: value => typeof value === 'string', expected: 'a string' },
+  Latitude: { required: false, check: value => Number.isFinite(parseFloat(value)), expected: 'a number' },
+  Longitude: { required: false, check: value => Number.isFinite(parseFloat(value)), expected: 'a number' }
+};
+
+// Function to list the schema violations of a single record (empty when valid)
+export function validateCourtRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record is not an object'];
+  }
+
+  const errors = [];
+  Object.entries(COURT_RECORD_SCHEMA).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`${field} is missing`);
+      }
+    } else if (!rule.check(value)) {
+      errors.push(`${field} should be ${rule.expected} (got ${JSON.stringify(value)})`);
+    }
+  });
+  return errors;
+}
+
+// Function to report quarantined rows
+export function reportQuarantined(quarantined, limit = 5) {
+  if (quarantined.length === 0) {
+    return;
+  }
+  console.log(`⚠️ Quarantined ${quarantined.length} malformed court records`);
+  quarantined.slice(0, limit).forEach(({ index, errors }) => {
+    console.log(`   Row ${index}: ${errors.join('; ')}`);
+  });
+  if (quarantined.length > limit) {
+    console.log(`   ... and ${quarantined.length - limit} more`);
+  }
+}
+
+// Function to write the quarantined rows of the latest fetch for inspection
+export function saveQuarantined(quarantined, file = QUARANTINE_FILE) {
+  try {
+    fs.writeFileSync(file, JSON.stringify({ savedAt: new Date().toISOString(), quarantined }, null, 2));
+    console.log(`⚠️ Quarantined records written to ${file}`);
+  } catch (error) {
+    console.error('❌ Error saving quarantined records:', error);
+  }
+}
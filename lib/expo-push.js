@@ -0,0 +1,160 @@
+import fetch from 'node-fetch';
+import { config } from './config.js';
+
+// Expo push service endpoints (override expo.pushUrl / expo.receiptsUrl to test against a local mock server)
+const PUSH_URL = config.expo.pushUrl;
+const RECEIPTS_URL = config.expo.receiptsUrl;
+
+// Expo per-request limits
+const MAX_MESSAGES_PER_REQUEST = 100;
+const MAX_RECEIPT_IDS_PER_REQUEST = 1000;
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled on every retry
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Function to POST a JSON payload to Expo, retrying network errors, 429 and 5xx responses
+async function postWithRetry(url, payload) {
+  const headers = {
+    'Accept': 'application/json',
+    'Accept-Encoding': 'gzip, deflate',
+    'Content-Type': 'application/json',
+  };
+  if (config.expo.accessToken) {
+    headers['Authorization'] = `Bearer ${config.expo.accessToken}`;
+  }
+
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        timeout: 30000,
+      });
+
+      if (response.status === 429 || response.status >= 500) {
+        throw new Error(`Transient HTTP error! status: ${response.status}`);
+      }
+
+      // Proxies and gateways can answer with an HTML or plain-text page instead of Expo's JSON
+      const contentType = response.headers.get('content-type') || '';
+      const isJson = contentType.includes('application/json');
+      if (!response.ok) {
+        // 4xx other than 429 will not succeed on retry
+        const result = isJson ? await response.json().catch(() => null) : null;
+        const message = result?.errors?.map(error => error.message).join('; ') || `status: ${response.status}`;
+        const error = new Error(`Expo push request rejected: ${message}`);
+        error.permanent = true;
+        throw error;
+      }
+      if (!isJson) {
+        throw new Error(`Unexpected ${contentType || 'untyped'} response (status: ${response.status})`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.permanent || attempt === MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      console.log(`⚠️ Expo request failed (Attempt ${attempt}/${MAX_RETRIES}): ${error.message}. Retrying in ${delay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Function to send push messages to Expo in chunks and collect their tickets
+// Returns dead tokens (DeviceNotRegistered) and the receipt ids to check later
+export async function sendPushNotifications(messages) {
+  const deadTokens = new Set();
+  const receiptIds = {};
+  let sent = 0;
+  let failed = 0;
+
+  const chunks = chunk(messages, MAX_MESSAGES_PER_REQUEST);
+  console.log(`📤 Sending ${messages.length} push messages in ${chunks.length} requests`);
+
+  for (const messageChunk of chunks) {
+    let tickets;
+    try {
+      const result = await postWithRetry(PUSH_URL, messageChunk);
+      tickets = result.data || [];
+    } catch (error) {
+      console.error('❌ Error sending push notifications:', error.message);
+      failed += messageChunk.length;
+      continue;
+    }
+
+    // Tickets are returned in the same order as the messages
+    tickets.forEach((ticket, index) => {
+      const token = messageChunk[index].to;
+      if (ticket.status === 'ok') {
+        sent++;
+        receiptIds[ticket.id] = token;
+      } else {
+        failed++;
+        console.error(`❌ Push ticket error for ${token}: ${ticket.message}`);
+        if (ticket.details?.error === 'DeviceNotRegistered') {
+          deadTokens.add(token);
+        }
+      }
+    });
+  }
+
+  console.log(`📤 Push delivery: ${sent} accepted, ${failed} failed`);
+  return { sent, failed, deadTokens: [...deadTokens], receiptIds };
+}
+
+// Function to fetch push receipts for previously accepted tickets
+// receiptIds maps receipt id -> push token; ids without a receipt yet are returned as pending
+export async function checkPushReceipts(receiptIds) {
+  const deadTokens = new Set();
+  const pending = {};
+  let delivered = 0;
+  let failed = 0;
+
+  const ids = Object.keys(receiptIds);
+  if (ids.length === 0) {
+    return { delivered, failed, deadTokens: [], pending };
+  }
+
+  console.log(`🧾 Checking ${ids.length} push receipts`);
+
+  for (const idChunk of chunk(ids, MAX_RECEIPT_IDS_PER_REQUEST)) {
+    let receipts;
+    try {
+      const result = await postWithRetry(RECEIPTS_URL, { ids: idChunk });
+      receipts = result.data || {};
+    } catch (error) {
+      console.error('❌ Error fetching push receipts:', error.message);
+      idChunk.forEach(id => { pending[id] = receiptIds[id]; });
+      continue;
+    }
+
+    idChunk.forEach(id => {
+      const receipt = receipts[id];
+      if (!receipt) {
+        pending[id] = receiptIds[id];
+      } else if (receipt.status === 'ok') {
+        delivered++;
+      } else {
+        failed++;
+        console.error(`❌ Push receipt error for ${receiptIds[id]}: ${receipt.message}`);
+        if (receipt.details?.error === 'DeviceNotRegistered') {
+          deadTokens.add(receiptIds[id]);
+        }
+      }
+    });
+  }
+
+  console.log(`🧾 Push receipts: ${delivered} delivered, ${failed} failed, ${Object.keys(pending).length} pending`);
+  return { delivered, failed, deadTokens: [...deadTokens], pending };
+}
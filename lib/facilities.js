@@ -0,0 +1,57 @@
+import { config } from './config.js';
+
+// LCSD SmartPLAY facility types
+//
+// Every facility type has its own open-data file in the same record format as badminton.
+// fetch.facilities (FACILITIES, comma separated ids, default "badminton") picks the files fetched
+// each cycle, e.g. FACILITIES=badminton,tennis,squash,table_tennis. fetch.urls (LCSD_API_URL_<ID>,
+// e.g. LCSD_API_URL_TABLE_TENNIS) overrides a file's URL; fetch.url (LCSD_API_URL) still overrides
+// the badminton file.
+//
+// Fetched records are tagged with Facility_Type. Records without it (saved before facility types
+// existed) are badminton, and badminton keeps its original slot keys and storage names, so
+// existing data, alert state and history carry over; other facilities are namespaced by id.
+
+const OPEN_DATA_URL = 'https://data.smartplay.lcsd.gov.hk/rest/cms/api/v1/publ/contents/open-data';
+
+export const DEFAULT_FACILITY = 'badminton';
+
+export const FACILITY_TYPES = {
+  badminton: { id: 'badminton', name: 'Badminton', nameTC: '羽毛球', icon: '🏸', path: 'badminton' },
+  tennis: { id: 'tennis', name: 'Tennis', nameTC: '網球', icon: '🎾', path: 'tennis' },
+  squash: { id: 'squash', name: 'Squash', nameTC: '壁球', icon: '⚫', path: 'squash' },
+  table_tennis: { id: 'table_tennis', name: 'Table tennis', nameTC: '乒乓球', icon: '🏓', path: 'table-tennis' }
+};
+
+// Function to look up a facility type by id (case-insensitive, "-" or "_")
+// Throws for unknown ids so typos in config or rules are not silently ignored
+export function getFacility(id = DEFAULT_FACILITY) {
+  const facility = FACILITY_TYPES[String(id).trim().toLowerCase().replace(/-/g, '_')];
+  if (!facility) {
+    throw new Error(`Unknown facility type: ${id} (expected one of ${Object.keys(FACILITY_TYPES).join(', ')})`);
+  }
+  return facility;
+}
+
+// Function to list the facility types monitored each cycle (fetch.facilities)
+export function enabledFacilities(ids = config.fetch.facilities) {
+  return [...new Set((ids.length > 0 ? ids : [DEFAULT_FACILITY]).map(id => getFacility(id).id))];
+}
+
+// Function to get the open-data file URL of a facility type
+export function facilityUrl(id) {
+  const facility = getFacility(id);
+  const override = config.fetch.urls[facility.id]
+    || (facility.id === DEFAULT_FACILITY ? config.fetch.url : null);
+  return override || `${OPEN_DATA_URL}/${facility.path}/file`;
+}
+
+// Function to get the facility type of a court record or change
+export function facilityOf(item) {
+  return item?.Facility_Type || item?.facility || DEFAULT_FACILITY;
+}
+
+// Function to build the storage / key namespace of a facility type ('' for badminton)
+export function facilityNamespace(id) {
+  return id === DEFAULT_FACILITY ? '' : id;
+}
@@ -0,0 +1,164 @@
+import { dispatchNotifications } from './notifiers/index.js';
+import { config } from './config.js';
+import { hongKongTime } from './hk-time.js';
+
+// Sanity checks on the LCSD feed, with operator alerts
+//
+// Snapshot checks (a failing snapshot is rejected and does not become the new baseline):
+//   empty          the feed returned no records
+//   record_drop    the record count fell by more than FEED_MAX_DROP (default 0.5 = 50%)
+//   missing_dates  upcoming dates of the previous snapshot, or days inside the current range, are missing
+// A lasting change in the feed (a venue closing, a new season) would fail these forever, so after
+// FEED_REBASELINE_AFTER (default 3, 0 = never) rejected snapshots in a row that agree with each other
+// (same failed checks, record counts within 10%) the latest one is accepted as the new baseline and
+// the operator is told. An empty feed is never accepted.
+// Feed checks (reported, but the snapshot is still used):
+//   stale          the data has not changed for FEED_STALE_HOURS (default 6)
+//   fetch_failures FEED_MAX_FAILURES (default 3) fetches in a row failed
+//
+// Open problems are kept in the fetch metadata; the operator is alerted when a problem first
+// appears and again when every problem has cleared, through the channels in OPERATOR_CHANNELS
+// (a JSON array shaped like a subscriber's channels, e.g. [{"type":"telegram","chatId":"..."}]).
+
+export const FEED_MAX_DROP = config.feedHealth.maxDrop;
+export const FEED_STALE_HOURS = config.feedHealth.staleHours;
+export const FEED_MAX_FAILURES = config.feedHealth.maxFailures;
+export const FEED_REBASELINE_AFTER = config.feedHealth.rebaselineAfter;
+const REBASELINE_TOLERANCE = 0.1;
+const DAY = 24 * 60 * 60 * 1000;
+
+function hongKongDate(time) {
+  return hongKongTime(time).toISOString().slice(0, 10);
+}
+
+function datesOf(data) {
+  return new Set(data.map(court => court.Available_Date));
+}
+
+// Function to list the days missing between the first and last date of a set
+function gapsIn(dates) {
+  const sorted = [...dates].sort();
+  const gaps = [];
+  if (sorted.length < 2) {
+    return gaps;
+  }
+  for (let day = new Date(`${sorted[0]}T00:00:00Z`); day < new Date(`${sorted[sorted.length - 1]}T00:00:00Z`); day = new Date(day.getTime() + DAY)) {
+    const date = day.toISOString().slice(0, 10);
+    if (!dates.has(date)) {
+      gaps.push(date);
+    }
+  }
+  return gaps;
+}
+
+// Function to check a fetched snapshot against the previous one
+// Returns [{ check, message }]; any problem means the snapshot must not replace the baseline
+export function checkSnapshot(currentData, previousData, { now = new Date(), maxDrop = FEED_MAX_DROP } = {}) {
+  const problems = [];
+
+  if (currentData.length === 0) {
+    problems.push({ check: 'empty', message: 'The LCSD feed returned no court records' });
+    return problems;
+  }
+
+  if (previousData?.length > 0 && currentData.length < previousData.length * (1 - maxDrop)) {
+    problems.push({
+      check: 'record_drop',
+      message: `Record count dropped from ${previousData.length} to ${currentData.length}`
+    });
+  }
+
+  const today = hongKongDate(now);
+  const currentDates = datesOf(currentData);
+  const missing = new Set(gapsIn(currentDates));
+  if (previousData) {
+    datesOf(previousData).forEach(date => {
+      if (date >= today && !currentDates.has(date)) {
+        missing.add(date);
+      }
+    });
+  }
+  if (missing.size > 0) {
+    problems.push({
+      check: 'missing_dates',
+      message: `Dates missing from the feed: ${[...missing].sort().join(', ')}`
+    });
+  }
+
+  return problems;
+}
+
+// Function to track a rejected snapshot in the fetch metadata (meta.rejectedRun)
+// Returns true once enough rejected snapshots in a row agree that it should become the new baseline
+export function confirmsNewBaseline(meta, currentData, rejections, { rebaselineAfter = FEED_REBASELINE_AFTER } = {}) {
+  const checks = rejections.map(problem => problem.check).sort().join(',');
+  const run = meta.rejectedRun;
+  const agrees = Boolean(run) && run.checks === checks &&
+    Math.abs(currentData.length - run.records) <= run.records * REBASELINE_TOLERANCE;
+  meta.rejectedRun = { checks, records: currentData.length, count: agrees ? run.count + 1 : 1 };
+  return rebaselineAfter > 0 && meta.rejectedRun.count >= rebaselineAfter && !checks.split(',').includes('empty');
+}
+
+// Function to check how long the feed has gone without changing or without a successful fetch
+export function checkFeedFreshness(meta, { now = new Date(), staleHours = FEED_STALE_HOURS, maxFailures = FEED_MAX_FAILURES } = {}) {
+  const problems = [];
+
+  if (meta.lastChangedAt && now - new Date(meta.lastChangedAt) > staleHours * 60 * 60 * 1000) {
+    const hours = Math.round((now - new Date(meta.lastChangedAt)) / (60 * 60 * 1000));
+    problems.push({ check: 'stale', message: `Court data has not changed for ${hours} hours (since ${meta.lastChangedAt})` });
+  }
+
+  if (meta.consecutiveFailures >= maxFailures) {
+    problems.push({ check: 'fetch_failures', message: `${meta.consecutiveFailures} fetches in a row failed` });
+  }
+
+  return problems;
+}
+
+// Function to read the operator channels (feedHealth.operatorChannels, validated by lib/config.js)
+export function operatorChannels() {
+  return config.feedHealth.operatorChannels || [];
+}
+
+// Function to record the current problems in the fetch metadata and alert the operator about changes
+// Returns the updated openProblems map (check -> ISO time it was first seen)
+// feed names the facility type's feed in the alert titles
+export async function reportFeedProblems(problems, openProblems = {}, now = new Date(), { feed = 'Court' } = {}) {
+  problems.forEach(problem => console.error(`🚨 ${feed} feed health: ${problem.message}`));
+
+  const opened = problems.filter(problem => !openProblems[problem.check]);
+  const stillOpen = {};
+  problems.forEach(problem => {
+    stillOpen[problem.check] = openProblems[problem.check] || now.toISOString();
+  });
+  const recovered = problems.length === 0 && Object.keys(openProblems).length > 0;
+
+  if (opened.length > 0 || recovered) {
+    await notifyOperator(recovered
+      ? { title: `✅ ${feed} feed recovered`, body: `Resolved: ${Object.keys(openProblems).join(', ')}` }
+      : { title: `🚨 ${feed} feed problem`, body: opened.map(problem => `• ${problem.message}`).join('\n') });
+  }
+
+  return stillOpen;
+}
+
+// Function to tell the operator that a snapshot that kept failing the checks became the new baseline
+export async function reportRebaseline(rejections, { previousRecords, count }, { feed = 'Court' } = {}) {
+  console.error(`♻️ ${feed} feed re-baselined after ${count} consistent rejected snapshots`);
+  await notifyOperator({
+    title: `♻️ ${feed} feed re-baselined`,
+    body: [
+      `Accepted the latest snapshot as the new baseline after ${count} snapshots in a row failed the same checks (previously ${previousRecords} records):`,
+      ...rejections.map(problem => `• ${problem.message}`)
+    ].join('\n')
+  });
+}
+
+async function notifyOperator(notification) {
+  const channels = operatorChannels();
+  if (channels.length === 0) {
+    console.error(`🚨 No OPERATOR_CHANNELS configured for: ${notification.title}`);
+  } else {
+    await dispatchNotifications([{ subscriberId: 'operator', kind: 'operator', channels, changes: [], ...notification }]);
+  }
+}
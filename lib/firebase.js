@@ -0,0 +1,35 @@
+import admin from 'firebase-admin';
+import { config } from './config.js';
+
+let app = null;
+
+// Function to get the Firestore client, initializing the Firebase Admin SDK on first use
+// With FIRESTORE_EMULATOR_HOST set, the SDK talks to the local emulator and needs no credentials
+// Credentials come from firebase.serviceAccountKey (FIREBASE_SERVICE_ACCOUNT_KEY, parsed by lib/config.js)
+export function getFirestore() {
+  const { serviceAccountKey, projectId } = config.firebase;
+  if (!app && process.env.FIRESTORE_EMULATOR_HOST && !serviceAccountKey) {
+    app = admin.initializeApp({ projectId: projectId || 'demo-court-monitor' });
+  }
+  if (!app) {
+    if (!serviceAccountKey) {
+      throw new Error('No Firebase credentials: set FIREBASE_SERVICE_ACCOUNT_KEY or firebase.serviceAccountKey in the config file');
+    }
+
+    app = admin.initializeApp({
+      credential: admin.credential.cert(serviceAccountKey),
+      projectId
+    });
+  }
+  return app.firestore();
+}
+
+// Function to clean up the Firebase connection
+export async function closeFirebase() {
+  if (app) {
+    await app.delete();
+    app = null;
+  }
+}
+
+export { admin };
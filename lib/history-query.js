@@ -0,0 +1,148 @@
+import { readHistory, parseHistorySlotId } from './history.js';
+import { hongKongTime } from './hk-time.js';
+
+// Queries over the availability history written by lib/history.js
+
+// Function to replay the history into per-slot timelines of value changes
+// Returns Map(slot id -> [{ time, courts }]) where courts is null while the slot is out of the feed
+export function buildTimelines(options = {}) {
+  const timelines = new Map();
+  const latest = new Map();
+
+  const record = (id, time, courts) => {
+    if (latest.get(id) === courts) {
+      return;
+    }
+    latest.set(id, courts);
+    if (!timelines.has(id)) {
+      timelines.set(id, []);
+    }
+    timelines.get(id).push({ time, courts });
+  };
+
+  for (const poll of readHistory(options)) {
+    if (poll.full) {
+      // Anything missing from a keyframe is no longer in the feed
+      latest.forEach((courts, id) => {
+        if (!(id in poll.slots) && courts !== null) {
+          record(id, poll.time, null);
+        }
+      });
+    }
+    Object.entries(poll.slots).forEach(([id, courts]) => record(id, poll.time, courts));
+  }
+
+  return timelines;
+}
+
+// Function to get the timeline of one venue/date/session (session is the start time, e.g. "19:00")
+export function getSlotTimeline(venue, date, session, options = {}) {
+  const timelines = buildTimelines(options);
+  for (const [id, points] of timelines) {
+    const slot = parseHistorySlotId(id);
+    if (slot.venue === venue && slot.date === date && slot.startTime === session) {
+      return { ...slot, points };
+    }
+  }
+  return null;
+}
+
+// Function to turn a timeline into the periods during which courts were free
+// An open period starts when courts go from 0/absent to 1+ and ends when they drop back
+export function openIntervals(points) {
+  const intervals = [];
+  let current = null;
+
+  points.forEach(({ time, courts }) => {
+    if (courts > 0 && !current) {
+      current = { openedAt: time, closedAt: null, maxCourts: courts };
+      intervals.push(current);
+    } else if (courts > 0 && current) {
+      current.maxCourts = Math.max(current.maxCourts, courts);
+    } else if (!(courts > 0) && current) {
+      current.closedAt = time;
+      current = null;
+    }
+  });
+
+  return intervals;
+}
+
+// Function to keep only open periods whose opening was observed
+// (a slot already open when history starts did not "free up" at that time)
+function freedIntervals(points) {
+  return openIntervals(points).filter((interval, index) => index > 0 || points[0].time < interval.openedAt);
+}
+
+function hongKongHour(time) {
+  return hongKongTime(time).getUTCHours();
+}
+
+function averageMinutes(intervals) {
+  const closed = intervals.filter(interval => interval.closedAt);
+  if (closed.length === 0) {
+    return null;
+  }
+  const total = closed.reduce((sum, interval) => sum + (interval.closedAt - interval.openedAt), 0);
+  return Math.round(total / closed.length / 60000);
+}
+
+// Function to summarise when slots at a venue open and close (hours are Hong Kong time)
+export function summarizeVenue(venue, options = {}) {
+  const timelines = buildTimelines(options);
+  const openingsByHour = {};
+  const closingsByHour = {};
+  const intervals = [];
+
+  timelines.forEach((points, id) => {
+    if (parseHistorySlotId(id).venue !== venue) {
+      return;
+    }
+
+    freedIntervals(points).forEach(interval => {
+      const hour = hongKongHour(interval.openedAt);
+      openingsByHour[hour] = (openingsByHour[hour] || 0) + 1;
+      intervals.push(interval);
+    });
+    openIntervals(points).forEach(interval => {
+      if (interval.closedAt) {
+        const hour = hongKongHour(interval.closedAt);
+        closingsByHour[hour] = (closingsByHour[hour] || 0) + 1;
+      }
+    });
+  });
+
+  return {
+    venue,
+    openings: intervals.length,
+    closings: Object.values(closingsByHour).reduce((sum, count) => sum + count, 0),
+    openingsByHour,
+    closingsByHour,
+    averageOpenMinutes: averageMinutes(intervals)
+  };
+}
+
+// Function to get the average number of minutes a freed court stays free (optionally for one venue)
+export function averageFreeDuration({ venue = null, ...options } = {}) {
+  const intervals = [];
+  buildTimelines(options).forEach((points, id) => {
+    if (venue && parseHistorySlotId(id).venue !== venue) {
+      return;
+    }
+    intervals.push(...freedIntervals(points));
+  });
+  return averageMinutes(intervals);
+}
+
+// Function to list the slots whose courts freed up since a moment, most recently freed first
+// courts is the count at the latest poll (0 once the slot was taken again)
+export function recentlyFreed(since, options = {}) {
+  const freed = [];
+  buildTimelines(options).forEach((points, id) => {
+    const latest = freedIntervals(points).filter(interval => interval.openedAt >= since).pop();
+    if (latest) {
+      freed.push({ ...parseHistorySlotId(id), freedAt: latest.openedAt, courts: points[points.length - 1].courts ?? 0 });
+    }
+  });
+  return freed.sort((a, b) => b.freedAt - a.freedAt);
+}
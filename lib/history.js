@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_FACILITY, facilityNamespace } from './facilities.js';
+import { config } from './config.js';
+
+// Availability history: one JSONL segment per UTC day under HISTORY_DIR.
+//
+// Each line is one poll:
+//   { "t": "2026-10-19T11:05:00.000Z", "full": true,  "slots": { "<slot>": 2, ... } }
+//   { "t": "2026-10-19T11:10:00.000Z", "full": false, "slots": { "<slot>": 0, "<gone slot>": null } }
+//
+// The first poll written to a segment (or one without previous data) is a full keyframe;
+// later polls only record slots whose Available_Courts changed, null meaning the slot left the feed.
+// Slot ids are "venue|date|start|end" (see historySlotId). Facility types other than badminton
+// are recorded in their own subdirectory (see historyDir).
+
+export const HISTORY_DIR = config.history.dir;
+export const HISTORY_RETENTION_DAYS = config.history.retentionDays;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Function to get the history directory of a facility type, e.g. court_history/tennis
+export function historyDir(facility = DEFAULT_FACILITY, dir = HISTORY_DIR) {
+  const namespace = facilityNamespace(facility);
+  return namespace ? path.join(dir, namespace) : dir;
+}
+
+// Function to build the history id of a venue session slot
+export function historySlotId(court) {
+  return [court.Venue_Name_EN, court.Available_Date, court.Session_Start_Time, court.Session_End_Time].join('|');
+}
+
+// Function to split a history slot id back into its parts
+export function parseHistorySlotId(id) {
+  const [venue, date, startTime, endTime] = id.split('|');
+  return { venue, date, startTime, endTime };
+}
+
+function toSlotValues(data) {
+  const values = {};
+  data.forEach(court => {
+    values[historySlotId(court)] = parseInt(court.Available_Courts || 0);
+  });
+  return values;
+}
+
+function segmentPath(dir, date) {
+  return path.join(dir, `${date.toISOString().slice(0, 10)}.jsonl`);
+}
+
+// Function to append one poll's per-slot availability to the history store
+export function appendHistory(currentData, previousData, { dir = HISTORY_DIR, timestamp = new Date() } = {}) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = segmentPath(dir, timestamp);
+    const current = toSlotValues(currentData);
+    const full = !previousData || !fs.existsSync(file);
+
+    let slots = current;
+    if (!full) {
+      slots = {};
+      const previous = toSlotValues(previousData);
+      Object.entries(current).forEach(([id, courts]) => {
+        if (previous[id] !== courts) {
+          slots[id] = courts;
+        }
+      });
+      Object.keys(previous).forEach(id => {
+        if (!(id in current)) {
+          slots[id] = null;
+        }
+      });
+    }
+
+    fs.appendFileSync(file, JSON.stringify({ t: timestamp.toISOString(), full, slots }) + '\n');
+    console.log(`🗃️ History: recorded ${Object.keys(slots).length} slot values${full ? ' (keyframe)' : ''}`);
+  } catch (error) {
+    console.error('❌ Error appending availability history:', error);
+  }
+}
+
+// Function to delete history segments older than the retention period
+export function pruneHistory({ dir = HISTORY_DIR, retentionDays = HISTORY_RETENTION_DAYS, now = new Date() } = {}) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  const cutoff = new Date(now.getTime() - retentionDays * DAY).toISOString().slice(0, 10);
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl') && name.slice(0, 10) < cutoff)
+    .forEach(name => {
+      fs.unlinkSync(path.join(dir, name));
+      console.log(`🗃️ History: removed expired segment ${name}`);
+    });
+}
+
+// Function to read history polls in time order, optionally limited to [from, to]
+export function* readHistory({ dir = HISTORY_DIR, from = null, to = null } = {}) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  const fromDay = from ? from.toISOString().slice(0, 10) : null;
+  const toDay = to ? to.toISOString().slice(0, 10) : null;
+  const segments = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .filter(name => (!fromDay || name.slice(0, 10) >= fromDay) && (!toDay || name.slice(0, 10) <= toDay))
+    .sort();
+
+  for (const name of segments) {
+    const lines = fs.readFileSync(path.join(dir, name), 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let poll;
+      try {
+        poll = JSON.parse(line);
+      } catch (error) {
+        console.error(`❌ Skipping corrupt history line in ${name}`);
+        continue;
+      }
+
+      const time = new Date(poll.t);
+      if ((from && time < from) || (to && time > to)) {
+        continue;
+      }
+      yield { time, full: poll.full, slots: poll.slots };
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// Times of day in the LCSD feed, which are Hong Kong local time
+//
+// Session times are "HH:MM" strings whose hours are not zero-padded ("9:00", "21:00"), so they
+// are compared as minutes after midnight rather than as strings.
+
+// Asia/Hong_Kong is UTC+8 all year (no DST), in milliseconds
+export const HK_UTC_OFFSET = 8 * 60 * 60 * 1000;
+
+// Function to shift a moment to Hong Kong wall-clock time, to be read with the getUTC* methods
+export function hongKongTime(time) {
+  return new Date(time.getTime() + HK_UTC_OFFSET);
+}
+
+// Function to get the minutes after Hong Kong midnight of a moment
+export function hongKongMinutes(time) {
+  const local = hongKongTime(time);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+// Function to convert an "HH:MM" string into minutes after midnight; null when it has no hours
+export function toMinutes(time) {
+  const [hours, minutes] = String(time).trim().split(':').map(part => parseInt(part, 10));
+  if (Number.isNaN(hours)) {
+    return null;
+  }
+  return hours * 60 + (Number.isNaN(minutes) ? 0 : minutes);
+}
+
+// Function to get the moment a session starts
+export function sessionStart(date, startTime) {
+  const [hours, minutes] = String(startTime).trim().split(':');
+  return new Date(`${date}T${hours.padStart(2, '0')}:${(minutes || '00').padStart(2, '0')}:00+08:00`);
+}
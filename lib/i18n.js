@@ -0,0 +1,177 @@
+// Notification message templates in English and Traditional Chinese (Hong Kong)
+//
+// Dates are always rendered in Asia/Hong_Kong time, whatever the server timezone.
+// Chinese text uses the Venue_Name_TC / District_Name_TC fields of the LCSD feed,
+// falling back to the English names when a record has no Chinese name.
+// Titles and venue lines name the sport (see lib/facilities.js).
+
+import { FACILITY_TYPES, facilityOf } from './facilities.js';
+import { compareStartTimes } from './court-query.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'zh-HK'];
+
+const TEMPLATES = {
+  'en': {
+    title: {
+      available: (count, { icon, name }) => count === 1 ? `${icon} ${named(name, 'Court Available!')}` : `${icon} ${count} ${named(name, 'Courts Available!')}`,
+      gone: (count, { icon, name }) => count === 1 ? `${icon} ${named(name, 'Court Gone')}` : `${icon} ${count} ${named(name, 'Courts Gone')}`,
+      update: (count, { icon, name }) => count === 1 ? `${icon} ${named(name, 'Court Update')}` : `${icon} ${count} ${named(name, 'Court Updates')}`,
+      digest: (count, interval, { icon, name }) => `${icon} ${interval === 'daily' ? 'Daily' : 'Hourly'} ${named(name.toLowerCase(), 'digest')}: ${count} ${count === 1 ? 'session' : 'sessions'}`
+    },
+    more: count => `... and ${count} more changes`,
+    tooLate: '⏰ Starts too soon to get there in time',
+    change: {
+      new_availability: change => `Now available: ${change.currentCount} courts (was ${change.previousCount})`,
+      increased_availability: change => `Now available: ${change.currentCount} courts (was ${change.previousCount})`,
+      slot_added: change => `New session: ${change.currentCount} courts available`,
+      decreased_availability: change => `Fewer courts: ${change.currentCount} courts (was ${change.previousCount})`,
+      sold_out: change => `Now gone: fully booked (was ${change.previousCount})`,
+      slot_removed: () => 'Now gone: session removed from the booking feed',
+      block_available: change => `Back-to-back: ${change.sessions} sessions with ${change.currentCount}+ courts each`
+    }
+  },
+  'zh-HK': {
+    title: {
+      available: (count, { icon, name }) => count === 1 ? `${icon} ${name}有場！` : `${icon} ${count} 個${name}時段有場！`,
+      gone: (count, { icon, name }) => count === 1 ? `${icon} ${name}場地已被訂` : `${icon} ${count} 個${name}時段已被訂`,
+      update: (count, { icon, name }) => count === 1 ? `${icon} ${name}場地更新` : `${icon} ${count} 項${name}場地更新`,
+      digest: (count, interval, { icon, name }) => `${icon} ${name}${interval === 'daily' ? '每日' : '每小時'}摘要：${count} 個時段`
+    },
+    more: count => `……及另外 ${count} 項變動`,
+    tooLate: '⏰ 開始前可能趕不及到場',
+    change: {
+      new_availability: change => `現有 ${change.currentCount} 個場（之前 ${change.previousCount} 個）`,
+      increased_availability: change => `現有 ${change.currentCount} 個場（之前 ${change.previousCount} 個）`,
+      slot_added: change => `新時段：有 ${change.currentCount} 個場`,
+      decreased_availability: change => `場地減少：剩 ${change.currentCount} 個場（之前 ${change.previousCount} 個）`,
+      sold_out: change => `已滿：全部訂出（之前 ${change.previousCount} 個）`,
+      slot_removed: () => '已取消：時段已從訂場資料移除',
+      block_available: change => `連續 ${change.sessions} 節：每節最少 ${change.currentCount} 個場`
+    }
+  }
+};
+
+// Icon used in titles covering more than one sport
+const MIXED_SPORTS_ICON = '🏟️';
+
+function named(name, text) {
+  return name ? `${name} ${text}` : text;
+}
+
+const CHANGE_ICONS = {
+  new_availability: '🟢',
+  increased_availability: '🟢',
+  slot_added: '🆕',
+  decreased_availability: '🟠',
+  sold_out: '🔴',
+  slot_removed: '⚫',
+  block_available: '🔗'
+};
+
+// Function to map a requested language onto a supported locale ('zh', 'zh-hk', 'zh-Hant' -> 'zh-HK')
+export function resolveLocale(language) {
+  const value = String(language || '').toLowerCase();
+  if (value.startsWith('zh')) {
+    return 'zh-HK';
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function getTemplates(locale) {
+  return TEMPLATES[resolveLocale(locale)];
+}
+
+// Function to format date for display, e.g. "Tue, 12/01" or "12月1日 (星期二)"
+export function formatDate(dateString, locale = DEFAULT_LOCALE) {
+  // Noon Hong Kong time keeps the calendar day stable in every timezone
+  const date = new Date(`${dateString}T12:00:00+08:00`);
+  if (Number.isNaN(date.getTime())) {
+    return dateString;
+  }
+
+  if (resolveLocale(locale) === 'zh-HK') {
+    const monthDay = new Intl.DateTimeFormat('zh-HK', { timeZone: 'Asia/Hong_Kong', month: 'long', day: 'numeric' }).format(date);
+    const weekday = new Intl.DateTimeFormat('zh-HK', { timeZone: 'Asia/Hong_Kong', weekday: 'long' }).format(date);
+    return `${monthDay} (${weekday})`;
+  }
+
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Hong_Kong', weekday: 'short' }).format(date);
+  const [, month, day] = dateString.split('-');
+  return `${weekday}, ${month}/${day}`;
+}
+
+// Function to get the venue name in a locale
+export function venueName(change, locale = DEFAULT_LOCALE) {
+  return resolveLocale(locale) === 'zh-HK' && change.venueTC ? change.venueTC : change.venue;
+}
+
+// Function to get the district name in a locale
+export function districtName(change, locale = DEFAULT_LOCALE) {
+  return resolveLocale(locale) === 'zh-HK' && change.districtTC ? change.districtTC : change.district;
+}
+
+// Function to get the sport of a change in a locale, e.g. "🎾 Tennis" or "🎾 網球"
+export function sportName(change, locale = DEFAULT_LOCALE) {
+  const facility = FACILITY_TYPES[facilityOf(change)];
+  return `${facility.icon} ${resolveLocale(locale) === 'zh-HK' ? facility.nameTC : facility.name}`;
+}
+
+// Function to get the icon and name of the sport shared by a set of changes, for titles
+// Mixed sports get a generic icon and no name
+export function titleSport(changes, locale = DEFAULT_LOCALE) {
+  const facilities = new Set(changes.map(facilityOf));
+  if (facilities.size !== 1) {
+    return { icon: MIXED_SPORTS_ICON, name: '' };
+  }
+  const facility = FACILITY_TYPES[[...facilities][0]];
+  return { icon: facility.icon, name: resolveLocale(locale) === 'zh-HK' ? facility.nameTC : facility.name };
+}
+
+// Function to get the venue name with the subscriber's distance to it, when known
+function venueLabel(change, locale) {
+  const name = venueName(change, locale);
+  return change.distanceKm !== undefined ? `${name} (${change.distanceKm.toFixed(1)} km)` : name;
+}
+
+// Function to build the notification lines for a change
+export function formatChangeMessage(change, locale = DEFAULT_LOCALE) {
+  const templates = getTemplates(locale);
+  const header = `${venueLabel(change, locale)}\n   ${sportName(change, locale)} • ${formatDate(change.date, locale)} • ${change.time}`;
+  const late = change.tooLate ? `\n   ${templates.tooLate}` : '';
+  return `${CHANGE_ICONS[change.type]} ${header}\n   ${templates.change[change.type](change)}${late}`;
+}
+
+// Function to build the one-line description of a change, without venue and date
+export function formatChangeLine(change, locale = DEFAULT_LOCALE) {
+  const templates = getTemplates(locale);
+  const late = change.tooLate ? ` ${templates.tooLate}` : '';
+  return `${CHANGE_ICONS[change.type]} ${change.time} • ${templates.change[change.type](change)}${late}`;
+}
+
+// Function to group changes by sport, venue and date; returns the groups in first-seen order
+export function groupChanges(changes) {
+  const groups = new Map();
+  changes.forEach(change => {
+    const key = `${facilityOf(change)}|${change.venue}|${change.date}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(change);
+  });
+  return [...groups.values()];
+}
+
+// Function to format one message block per group of changes (see groupChanges)
+// Returns the blocks in first-seen order, each listing its sessions by start time
+export function formatGroupedMessages(changes, locale = DEFAULT_LOCALE) {
+  return groupChanges(changes).map(group => {
+    if (group.length === 1) {
+      return formatChangeMessage(group[0], locale);
+    }
+    const lines = [...group]
+      .sort((a, b) => compareStartTimes(a.startTime, b.startTime))
+      .map(change => `   ${formatChangeLine(change, locale)}`);
+    return `📍 ${venueLabel(group[0], locale)}\n   ${sportName(group[0], locale)} • ${formatDate(group[0].date, locale)}\n${lines.join('\n')}`;
+  });
+}
@@ -0,0 +1,127 @@
+import { sportName } from './i18n.js';
+import { config } from './config.js';
+
+// iCalendar (RFC 5545) export of open court sessions
+//
+// One VEVENT per venue session (or per block of back-to-back sessions), in Asia/Hong_Kong time.
+// The UID is derived from the slot key, so a calendar client updates an event in place when a
+// subscribed feed is refreshed instead of duplicating it.
+//
+// BOOKING_URL is the link put on every event; {venue}, {date} and {start} are replaced with
+// the URL-encoded session details. CALENDAR_BASE_URL is where the API server (lib/api-server.js)
+// is reachable, used to print subscribers' feed URLs.
+
+export const BOOKING_URL = config.api.bookingUrl;
+export const CALENDAR_BASE_URL = config.api.calendarBaseUrl || `http://localhost:${config.api.port ?? 3000}`;
+const PRODUCT_ID = '-//badminton-court-monitor//Court availability//EN';
+
+const HONG_KONG_TIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Asia/Hong_Kong',
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0800',
+  'TZOFFSETTO:+0800',
+  'TZNAME:HKT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Function to escape a TEXT value
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Function to fold a content line at 75 octets, without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Function to format a YYYY-MM-DD date and HH:MM time as a local DATE-TIME
+function localDateTime(date, time) {
+  const [hours, minutes] = String(time).trim().split(':');
+  return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${(minutes || '00').padStart(2, '0')}00`;
+}
+
+function utcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Function to build the booking link of a session
+export function bookingUrl(change, template = BOOKING_URL) {
+  return template
+    .replace('{venue}', encodeURIComponent(change.venue))
+    .replace('{date}', encodeURIComponent(change.date))
+    .replace('{start}', encodeURIComponent(change.startTime));
+}
+
+// Function to build the URL of a subscriber's calendar feed
+export function calendarFeedUrl(token) {
+  return `${CALENDAR_BASE_URL.replace(/\/$/, '')}/calendar/${token}.ics`;
+}
+
+// Function to build the VEVENT lines of a change or open slot (as built by detectChanges / detectBlockChanges)
+function eventLines(change, now) {
+  const endTime = change.endTime || change.time.split('-')[1];
+  const link = bookingUrl(change);
+  const description = [
+    `District: ${change.district}`,
+    `Courts available: ${change.currentCount}`,
+    change.sessions ? `Back-to-back sessions: ${change.sessions}` : null,
+    `Book: ${link}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${encodeURIComponent(change.slotKey)}@badminton-court-monitor`,
+    `DTSTAMP:${utcDateTime(now)}`,
+    `DTSTART;TZID=Asia/Hong_Kong:${localDateTime(change.date, change.startTime)}`,
+    `DTEND;TZID=Asia/Hong_Kong:${localDateTime(change.date, endTime)}`,
+    `SUMMARY:${escapeText(`${sportName(change)}: ${change.venue} (${change.currentCount} ${change.currentCount === 1 ? 'court' : 'courts'})`)}`,
+    `LOCATION:${escapeText([change.venue, change.district].filter(Boolean).join(', '))}`,
+    ...(change.location ? [`GEO:${change.location.lat};${change.location.lng}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${link}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+// Function to build an iCalendar document from changes or open slots
+// Only entries with courts available become events
+export function buildCalendar(changes, { name = 'LCSD courts', now = new Date() } = {}) {
+  const events = changes
+    .filter(change => change.currentCount > 0)
+    .flatMap(change => eventLines(change, now));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Hong_Kong',
+    ...HONG_KONG_TIMEZONE,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
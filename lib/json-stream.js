@@ -0,0 +1,80 @@
+// Incremental parser for a top-level JSON array
+//
+// The LCSD open-data file is one large array of flat records. Instead of buffering the whole
+// body as text, each element is cut out of the byte stream as soon as it is complete and
+// parsed on its own, so only the records (not the raw text) stay in memory.
+
+export async function* parseJsonArrayStream(body) {
+  const decoder = new TextDecoder('utf-8');
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = '';
+
+  const feed = function* (text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (!started) {
+        if (char === '[') {
+          started = true;
+        } else if (!/[\s\uFEFF]/.test(char)) {
+          throw new Error(`Expected a JSON array but found "${char}"`);
+        }
+        continue;
+      }
+
+      if (finished) {
+        if (!/\s/.test(char)) {
+          throw new Error(`Unexpected data after the end of the JSON array: "${char}"`);
+        }
+        continue;
+      }
+
+      if (inString) {
+        element += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (depth === 0 && (char === ',' || char === ']')) {
+        if (element.trim()) {
+          yield JSON.parse(element);
+        } else if (char === ',') {
+          throw new Error('Unexpected "," in JSON array');
+        }
+        element = '';
+        if (char === ']') {
+          finished = true;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+      element += char;
+    }
+  };
+
+  for await (const chunk of body) {
+    yield* feed(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+  }
+  yield* feed(decoder.decode());
+
+  if (!finished) {
+    throw new Error('Truncated JSON array: response ended before the closing "]"');
+  }
+}
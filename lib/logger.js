@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import util from 'util';
+import { config } from './config.js';
+
+// Structured logging
+//
+// logging.format (LOG_FORMAT) json turns every log line into one JSON object on stdout/stderr:
+//   {"time":"2026-10-19T11:05:00.123Z","level":"info","runId":"gh-123.1","msg":"Found 3 changes","changes":3}
+// logging.level (LOG_LEVEL: debug, info, warn, error; default info) drops the levels below it.
+//
+// installLogger() routes the existing console.log / console.error calls through the logger,
+// so structured fields only need adding where they help: logger.info(msg, { field: value }).
+// The default text format prints messages exactly as before.
+
+export const LOG_FORMAT = config.logging.format;
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[config.logging.level];
+
+// Leading emoji only decorate the text format
+const LEADING_EMOJI = /^(\p{Extended_Pictographic}|\uFE0F|\u200D)+\s*/u;
+
+const original = {
+  log: console.log,
+  error: console.error
+};
+
+const baseRunId = process.env.GITHUB_RUN_ID ? `gh-${process.env.GITHUB_RUN_ID}` : crypto.randomBytes(4).toString('hex');
+let runId = baseRunId;
+let runCount = 0;
+
+// Function to start a new run id (one per monitor cycle in daemon mode)
+export function startRun() {
+  runCount++;
+  runId = `${baseRunId}.${runCount}`;
+  return runId;
+}
+
+export function currentRunId() {
+  return runId;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+  // Text output goes through the current console so redirections (like the CLI's) still apply
+  const out = LOG_FORMAT === 'json' ? original : console;
+  const print = level === 'error' || level === 'warn' ? out.error : out.log;
+
+  if (LOG_FORMAT !== 'json') {
+    print(msg);
+    return;
+  }
+  print(JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    runId,
+    msg: String(msg).replace(LEADING_EMOJI, ''),
+    ...fields
+  }));
+}
+
+// Function to turn console arguments into a message and fields (errors keep their message and stack)
+function fromConsoleArgs(args) {
+  const fields = {};
+  const parts = args.map(arg => {
+    if (arg instanceof Error) {
+      fields.error = arg.message;
+      fields.stack = arg.stack;
+      return arg.message;
+    }
+    return typeof arg === 'string' ? arg : util.inspect(arg, { depth: 4, breakLength: Infinity });
+  });
+  return [parts.join(' '), fields];
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Function to route console output through the logger when LOG_FORMAT=json
+export function installLogger() {
+  if (LOG_FORMAT !== 'json') {
+    return;
+  }
+  console.log = (...args) => write('info', ...fromConsoleArgs(args));
+  console.info = console.log;
+  console.debug = (...args) => write('debug', ...fromConsoleArgs(args));
+  console.warn = (...args) => write('warn', ...fromConsoleArgs(args));
+  console.error = (...args) => write('error', ...fromConsoleArgs(args));
+}
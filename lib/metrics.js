@@ -0,0 +1,152 @@
+import fs from 'fs';
+import { config } from './config.js';
+
+// In-process metrics for the monitoring pipeline
+//
+// Daemon mode serves them in the Prometheus text format at GET /metrics (see lib/api-server.js);
+// one-shot runs write a JSON summary to METRICS_FILE (default monitor_metrics.json) so the
+// time since the last successful fetch can be alerted on even when the monitor goes silent.
+
+export const METRICS_FILE = config.metrics.file;
+
+const METRICS = {
+  court_monitor_cycles_total: { type: 'counter', help: 'Monitor cycles by result (ok, unchanged, rejected, failed, skipped)' },
+  court_monitor_fetch_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to fetch and parse the LCSD court data file',
+    buckets: [0.5, 1, 2, 5, 10, 30, 60]
+  },
+  court_monitor_fetch_bytes: { type: 'gauge', help: 'Size of the last fetched court data file' },
+  court_monitor_fetch_retries_total: { type: 'counter', help: 'Fetch attempts that failed and were retried' },
+  court_monitor_fetch_failures_total: { type: 'counter', help: 'Fetches that failed after every retry' },
+  court_monitor_records: { type: 'gauge', help: 'Court records in the last snapshot' },
+  court_monitor_quarantined_records: { type: 'gauge', help: 'Malformed records quarantined from the last fetch' },
+  court_monitor_changes_detected_total: { type: 'counter', help: 'Changes detected by type' },
+  court_monitor_notifications_sent_total: { type: 'counter', help: 'Notifications delivered by channel' },
+  court_monitor_notifications_failed_total: { type: 'counter', help: 'Notifications that failed by channel' },
+  court_monitor_last_success_timestamp_seconds: { type: 'gauge', help: 'Unix time of the last successful fetch' }
+};
+
+// name -> Map(label key -> value or histogram state)
+const values = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+function labelKey(labels) {
+  return Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`))}"`)
+    .join(',');
+}
+
+function series(name) {
+  if (!values.has(name)) {
+    throw new Error(`Unknown metric: ${name}`);
+  }
+  return values.get(name);
+}
+
+export function increment(name, labels = {}, amount = 1) {
+  const key = labelKey(labels);
+  const metric = series(name);
+  metric.set(key, (metric.get(key) || 0) + amount);
+}
+
+export function setGauge(name, value, labels = {}) {
+  series(name).set(labelKey(labels), value);
+}
+
+export function observe(name, value, labels = {}) {
+  const key = labelKey(labels);
+  const metric = series(name);
+  if (!metric.has(key)) {
+    metric.set(key, { buckets: METRICS[name].buckets.map(() => 0), sum: 0, count: 0 });
+  }
+  const histogram = metric.get(key);
+  METRICS[name].buckets.forEach((bound, i) => {
+    if (value <= bound) {
+      histogram.buckets[i]++;
+    }
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+function lastSuccess() {
+  return series('court_monitor_last_success_timestamp_seconds').get('') ?? null;
+}
+
+function withLabels(name, key, extra = '') {
+  const labels = [key, extra].filter(Boolean).join(',');
+  return labels ? `${name}{${labels}}` : name;
+}
+
+// Function to render every metric in the Prometheus text exposition format
+export function renderPrometheus(now = new Date()) {
+  const lines = [];
+  Object.entries(METRICS).forEach(([name, { type, help, buckets }]) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    values.get(name).forEach((value, key) => {
+      if (type !== 'histogram') {
+        lines.push(`${withLabels(name, key)} ${value}`);
+        return;
+      }
+      buckets.forEach((bound, i) => lines.push(`${withLabels(`${name}_bucket`, key, `le="${bound}"`)} ${value.buckets[i]}`));
+      lines.push(`${withLabels(`${name}_bucket`, key, 'le="+Inf"')} ${value.count}`);
+      lines.push(`${withLabels(`${name}_sum`, key)} ${value.sum}`);
+      lines.push(`${withLabels(`${name}_count`, key)} ${value.count}`);
+    });
+  });
+
+  const success = lastSuccess();
+  if (success !== null) {
+    lines.push(
+      '# HELP court_monitor_seconds_since_last_success Seconds since the last successful fetch',
+      '# TYPE court_monitor_seconds_since_last_success gauge',
+      `court_monitor_seconds_since_last_success ${Math.max(0, Math.round(now.getTime() / 1000 - success))}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Function to summarise the metrics as a plain object
+export function metricsSummary() {
+  const summary = {};
+  values.forEach((metric, name) => {
+    if (metric.size === 0) {
+      return;
+    }
+    summary[name] = Object.fromEntries([...metric].map(([key, value]) => [
+      key.replace(/"/g, '') || 'value',
+      METRICS[name].type === 'histogram' ? { sum: value.sum, count: value.count } : value
+    ]));
+  });
+  return summary;
+}
+
+// Function to write the one-shot summary file
+// The last successful fetch is carried over from the previous summary when this run failed
+export function writeMetricsSummary({ file = METRICS_FILE, runId = null, now = new Date() } = {}) {
+  let lastSuccessfulFetch = lastSuccess() !== null ? new Date(lastSuccess() * 1000).toISOString() : null;
+  if (!lastSuccessfulFetch && fs.existsSync(file)) {
+    try {
+      lastSuccessfulFetch = JSON.parse(fs.readFileSync(file, 'utf8')).lastSuccessfulFetch || null;
+    } catch (error) {
+      console.error(`❌ Could not read the previous metrics summary ${file}:`, error.message);
+    }
+  }
+
+  const summary = {
+    runId,
+    finishedAt: now.toISOString(),
+    lastSuccessfulFetch,
+    secondsSinceLastSuccess: lastSuccessfulFetch ? Math.round((now - new Date(lastSuccessfulFetch)) / 1000) : null,
+    metrics: metricsSummary()
+  };
+
+  try {
+    fs.writeFileSync(file, JSON.stringify(summary, null, 2));
+    console.log(`📈 Metrics summary written to ${file}`);
+  } catch (error) {
+    console.error(`❌ Error writing metrics summary to ${file}:`, error);
+  }
+  return summary;
+}
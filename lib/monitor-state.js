@@ -0,0 +1,72 @@
+import { QueryError } from './court-query.js';
+
+// Latest snapshot and recent change events shared between the monitor loop and the API server
+
+const DEFAULT_MAX_CHANGES = 1000;
+
+// Change ids start from the start-up time in microseconds, so they keep increasing across
+// daemon restarts and a Last-Event-ID from an earlier run is never taken for a newer event
+export function createMonitorState({ maxChanges = DEFAULT_MAX_CHANGES, firstChangeId = Date.now() * 1000 } = {}) {
+  let nextChangeId = firstChangeId;
+
+  const state = {
+    snapshot: [],
+    changes: [],
+    lastSuccessfulFetch: null,
+    lastFetchAttempt: null,
+    lastError: null,
+    listeners: new Set(),
+
+    // Function to record a successful poll and assign ids to its changes
+    recordSnapshot(data, changes, fetchedAt = new Date()) {
+      state.snapshot = data;
+      state.lastSuccessfulFetch = fetchedAt;
+      state.lastFetchAttempt = fetchedAt;
+      state.lastError = null;
+
+      const events = changes.map(change => ({ id: nextChangeId++, detectedAt: fetchedAt.toISOString(), ...change }));
+      state.changes.push(...events);
+      if (state.changes.length > maxChanges) {
+        state.changes.splice(0, state.changes.length - maxChanges);
+      }
+
+      state.listeners.forEach(listener => listener(events));
+      return events;
+    },
+
+    // Function to record a failed poll
+    recordFailure(error, attemptedAt = new Date()) {
+      state.lastFetchAttempt = attemptedAt;
+      state.lastError = error?.message || String(error);
+    },
+
+    // Function to get change events after an event id or ISO timestamp
+    // An id this process has not issued yet (e.g. after the clock was set back) cannot be
+    // placed among the buffered events, so every buffered event is returned
+    changesSince(since) {
+      if (since === undefined || since === null || since === '') {
+        return state.changes;
+      }
+      if (/^\d+$/.test(String(since))) {
+        const id = parseInt(since, 10);
+        if (id >= nextChangeId) {
+          return state.changes;
+        }
+        return state.changes.filter(event => event.id > id);
+      }
+      const time = new Date(since);
+      if (Number.isNaN(time.getTime())) {
+        throw new QueryError(`Invalid "since" value: ${since} (expected an event id or ISO timestamp)`);
+      }
+      return state.changes.filter(event => new Date(event.detectedAt) > time);
+    },
+
+    // Function to subscribe to change events as they are recorded; returns an unsubscribe function
+    onChanges(listener) {
+      state.listeners.add(listener);
+      return () => state.listeners.delete(listener);
+    }
+  };
+
+  return state;
+}
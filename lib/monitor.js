@@ -0,0 +1,207 @@
+import { checkConnectivity, fetchCourtData, detectChanges } from './court-data.js';
+import { saveQuarantined } from './court-schema.js';
+import { appendHistory, pruneHistory, historyDir } from './history.js';
+import { increment, setGauge } from './metrics.js';
+import { logger } from './logger.js';
+import { checkSnapshot, checkFeedFreshness, reportFeedProblems, confirmsNewBaseline, reportRebaseline } from './feed-health.js';
+import { saveRawSnapshot, snapshotDir } from './snapshots.js';
+import { DEFAULT_FACILITY, getFacility, facilityOf } from './facilities.js';
+import { writeHtmlReport } from './report.js';
+import { config } from './config.js';
+
+// Function to run one monitoring cycle of one facility type against its storage backend
+// Returns { currentData, previousData, changes, unchanged, problems }, or null when the court data could not be fetched
+// or saved;
+// a snapshot failing the feed-health checks is returned as rejected and is not saved
+// When a monitor state is passed, the snapshot and change events are published to it
+// Backends with a run lease are skipped while another run holds it (result.skipped)
+// Replays pass their own fetcher and clock, and record: false to leave history and raw snapshots alone
+export async function runMonitorCycle(storage, { state = null, fetcher = null, now = null, record = true, facility = DEFAULT_FACILITY } = {}) {
+  if (storage.acquireLease && !(await storage.acquireLease())) {
+    console.log('⏭️ Another run is in progress - skipping this cycle');
+    increment('court_monitor_cycles_total', { result: 'skipped', facility });
+    return { currentData: null, previousData: null, changes: [], unchanged: true, skipped: true, problems: [] };
+  }
+
+  try {
+    return await detectAndSave(storage, state, { fetcher, now: now || new Date(), record, facility: getFacility(facility) });
+  } finally {
+    await storage.releaseLease?.();
+  }
+}
+
+// Function to fetch, detect changes and save one snapshot
+async function detectAndSave(storage, state, { fetcher, now, record, facility }) {
+  const labels = { facility: facility.id };
+  const feed = { feed: facility.name };
+
+  if (!fetcher) {
+    await checkConnectivity();
+  }
+  
+  // Load previous data
+  const previousData = await storage.loadPreviousData();
+  
+  // Fetch metadata carries the validators of the last fetch and the feed-health bookkeeping
+  const meta = { consecutiveFailures: 0, openProblems: {}, ...(await storage.loadFetchMeta()) };
+  
+  // Conditional requests only make sense while the previous snapshot is still available
+  const fetched = await (fetcher || fetchCourtData)(previousData ? { ...meta, facility: facility.id } : { facility: facility.id });
+  if (!fetched) {
+    console.log(`❌ Failed to fetch ${facility.name.toLowerCase()} court data`);
+    state?.recordFailure(new Error('Failed to fetch court data'));
+    increment('court_monitor_cycles_total', { result: 'failed', ...labels });
+    meta.consecutiveFailures++;
+    meta.openProblems = await reportFeedProblems(checkFeedFreshness(meta, { now }), meta.openProblems, now, feed);
+    await storage.saveFetchMeta(meta);
+    return null;
+  }
+  meta.consecutiveFailures = 0;
+
+  if (fetched.notModified) {
+    console.log('⏭️ Skipping change detection - court data file unchanged');
+    state?.recordSnapshot(previousData, []);
+    increment('court_monitor_cycles_total', { result: 'unchanged', ...labels });
+    setGauge('court_monitor_last_success_timestamp_seconds', Date.now() / 1000);
+    const problems = checkFeedFreshness(meta, { now });
+    meta.openProblems = await reportFeedProblems(problems, meta.openProblems, now, feed);
+    await storage.saveFetchMeta(meta);
+    return { currentData: previousData, previousData, changes: [], unchanged: true, problems };
+  }
+
+  const currentData = fetched.data;
+  if (record) {
+    saveRawSnapshot(fetched, { fetchedAt: now, dir: snapshotDir(facility.id) });
+    if (fetched.quarantined.length > 0) {
+      saveQuarantined(fetched.quarantined);
+    }
+  }
+
+  // A suspicious snapshot is reported and dropped; the previous data stays the baseline
+  // (and its validators stay in place, so the next run fetches the file again), unless
+  // enough rejected snapshots in a row agree that the feed really changed
+  const rejections = checkSnapshot(currentData, previousData, { now });
+  if (rejections.length > 0 && confirmsNewBaseline(meta, currentData, rejections)) {
+    await reportRebaseline(rejections, { previousRecords: previousData?.length ?? 0, count: meta.rejectedRun.count }, feed);
+  } else if (rejections.length > 0) {
+    console.log('🚫 Rejecting the fetched snapshot - keeping the previous data as the baseline');
+    state?.recordFailure(new Error(rejections.map(problem => problem.message).join('; ')));
+    increment('court_monitor_cycles_total', { result: 'rejected', ...labels });
+    const problems = [...rejections, ...checkFeedFreshness(meta, { now })];
+    meta.openProblems = await reportFeedProblems(problems, meta.openProblems, now, feed);
+    await storage.saveFetchMeta(meta);
+    return { currentData: previousData, previousData, changes: [], unchanged: true, rejected: true, problems };
+  }
+
+  meta.rejectedRun = null;
+
+  // Detect changes
+  console.log('🔍 Detecting changes...');
+  const changes = detectChanges(currentData, previousData);
+  if (!previousData || changes.length > 0 || !meta.lastChangedAt) {
+    meta.lastChangedAt = now.toISOString();
+  }
+  
+  // Save current data for next comparison
+  const problems = checkFeedFreshness(meta, { now });
+  meta.openProblems = await reportFeedProblems(problems, meta.openProblems, now, feed);
+  try {
+    await storage.saveCurrentData(currentData);
+  } catch (error) {
+    // The old baseline and validators stay in place, so the next run fetches and compares again;
+    // the changes are not returned, so nothing is alerted for a snapshot that was not stored
+    console.log(`❌ Failed to save ${facility.name.toLowerCase()} court data - dropping this cycle`);
+    state?.recordFailure(error);
+    increment('court_monitor_cycles_total', { result: 'failed', ...labels });
+    return null;
+  }
+
+  // Record per-slot availability for historical queries (history.enabled false turns this off)
+  // Only once the snapshot is stored, so a dropped cycle does not leave a history point behind
+  if (record && config.history.enabled) {
+    appendHistory(currentData, previousData, { timestamp: now, dir: historyDir(facility.id) });
+    pruneHistory({ dir: historyDir(facility.id) });
+  }
+  await storage.saveFetchMeta({ ...meta, etag: fetched.etag, lastModified: fetched.lastModified });
+  state?.recordSnapshot(currentData, changes);
+  
+  increment('court_monitor_cycles_total', { result: 'ok', ...labels });
+  setGauge('court_monitor_last_success_timestamp_seconds', Date.now() / 1000);
+  setGauge('court_monitor_records', currentData.length, labels);
+  setGauge('court_monitor_quarantined_records', fetched.quarantined.length, labels);
+  changes.forEach(change => increment('court_monitor_changes_detected_total', { type: change.type, ...labels }));
+  logger.info(`📊 ${facility.name} cycle complete: ${currentData.length} records, ${changes.length} changes`, {
+    facility: facility.id,
+    records: currentData.length,
+    quarantined: fetched.quarantined.length,
+    changes: changes.length
+  });
+  
+  return { currentData, previousData, changes, unchanged: false, problems };
+}
+
+// Function to run one monitoring cycle per enabled facility type and merge the results
+// storages is the Map(facility id -> storage) from createFacilityStorages. The merged result has
+// the shape of runMonitorCycle's plus failed, the facility types whose data could not be fetched or saved;
+// it is null when no facility type could be. The monitor state gets the merged snapshot.
+// With report.file (REPORT_FILE) set, the HTML availability report is rewritten after each recorded cycle.
+export async function runFacilityCycles(storages, { state = null, ...options } = {}) {
+  const results = [];
+  const failed = [];
+  for (const [facility, storage] of storages) {
+    const result = await runMonitorCycle(storage, { ...options, facility });
+    if (result) {
+      results.push(result);
+    } else {
+      failed.push(facility);
+    }
+  }
+
+  if (results.length === 0) {
+    state?.recordFailure(new Error('Failed to fetch or save court data'));
+    return null;
+  }
+
+  const live = results.filter(result => !result.skipped);
+  const merged = {
+    currentData: live.flatMap(result => result.currentData || []),
+    // A facility on its first run compares with itself, so it reports no changes or blocks
+    previousData: live.some(result => result.previousData)
+      ? live.flatMap(result => result.previousData || result.currentData || [])
+      : null,
+    changes: results.flatMap(result => result.changes),
+    unchanged: results.every(result => result.unchanged),
+    problems: results.flatMap(result => result.problems),
+    failed
+  };
+  if (live.length === 0) {
+    return { ...merged, currentData: null, skipped: true };
+  }
+  if (results.some(result => result.rejected)) {
+    merged.rejected = true;
+  }
+
+  if (state) {
+    // Facilities without fresh data keep their records from the last poll
+    const fresh = new Set(live.flatMap(result => result.currentData || []).map(facilityOf));
+    state.recordSnapshot([...merged.currentData, ...state.snapshot.filter(court => !fresh.has(facilityOf(court)))], merged.changes);
+    const errors = [...failed.map(facility => `Failed to fetch or save ${facility} court data`), ...merged.problems.map(problem => problem.message)];
+    if (errors.length > 0) {
+      state.recordFailure(new Error(errors.join('; ')));
+    }
+  }
+  if (config.report.file && options.record !== false && !merged.rejected) {
+    writeHtmlReport(config.report.file, { currentData: merged.currentData, changes: merged.changes, now: options.now || new Date() });
+  }
+  return merged;
+}
+
+// Function to check whether a cycle should fail the process (no data, failed facilities, or open feed-health problems)
+export function isUnhealthy(result) {
+  return !result || result.problems.length > 0 || result.failed?.length > 0;
+}
+
+// Written straight to stdout so the markers survive LOG_FORMAT=json
+export function printChangesDetected(data) {
+  process.stdout.write(`=== CHANGES_DETECTED ===\n${JSON.stringify(data)}\n=== END_CHANGES ===\n`);
+}
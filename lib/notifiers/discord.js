@@ -0,0 +1,37 @@
+import { postJson, createThrottle } from './http.js';
+
+// Discord incoming webhook channel: { type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/...' }
+
+const MAX_CONTENT_LENGTH = 2000;
+
+// Discord webhooks allow 5 requests per 2 seconds
+const throttle = createThrottle(500);
+
+// Function to format a notification as Discord markdown
+export function formatDiscordMessage(notification) {
+  const content = `**${notification.title}**\n${notification.body}`;
+  return content.length > MAX_CONTENT_LENGTH ? `${content.slice(0, MAX_CONTENT_LENGTH - 1)}…` : content;
+}
+
+export const discordNotifier = {
+  type: 'discord',
+
+  async send(deliveries) {
+    const result = { sent: 0, failed: 0 };
+
+    for (const { notification, target } of deliveries) {
+      try {
+        await throttle(target.webhookUrl);
+        await postJson(target.webhookUrl, {
+          content: formatDiscordMessage(notification),
+          allowed_mentions: { parse: [] }
+        }, { label: 'Discord' });
+        result.sent++;
+      } catch (error) {
+        console.error('❌ Discord delivery failed:', error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+};
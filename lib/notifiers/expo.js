@@ -0,0 +1,23 @@
+import { sendPushNotifications } from '../expo-push.js';
+
+// Expo push channel: { type: 'expo', pushToken: 'ExponentPushToken[...]' }
+// (subscribers with a top-level pushToken get this channel implicitly)
+// Low-priority notifications (distant sessions, see lib/quiet-hours.js) are delivered without a sound
+
+export const expoNotifier = {
+  type: 'expo',
+
+  async send(deliveries) {
+    const messages = deliveries.map(({ notification, target }) => ({
+      to: target.pushToken,
+      title: notification.title,
+      body: notification.body,
+      data: { source: 'court_availability' },
+      priority: notification.priority === 'high' ? 'high' : 'default',
+      sound: notification.priority === 'low' ? null : 'default'
+    }));
+
+    const { sent, failed, deadTokens, receiptIds } = await sendPushNotifications(messages);
+    return { sent, failed, deadTokens, receiptIds };
+  }
+};
@@ -0,0 +1,75 @@
+import fetch from 'node-fetch';
+
+// Shared HTTP delivery for webhook-style notifiers
+// Retries network errors and 5xx responses, and waits out 429 rate limits using Retry-After
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled on every retry
+const MAX_RATE_LIMIT_WAIT = 60 * 1000;
+
+// Function to read how long a 429 response asks us to wait
+// Discord and Telegram put it in the JSON body, everyone else in the Retry-After header
+function retryAfterMs(response, body) {
+  const seconds = body?.retry_after ?? body?.parameters?.retry_after ?? response.headers.get('retry-after');
+  const value = parseFloat(seconds);
+  return Number.isNaN(value) ? RETRY_BASE_DELAY : Math.min(value * 1000, MAX_RATE_LIMIT_WAIT);
+}
+
+// Function to POST a JSON payload with retries
+export async function postJson(url, payload, { headers = {}, body = null, label = 'notifier' } = {}) {
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    let delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body ?? JSON.stringify(payload),
+        timeout: 30000,
+      });
+
+      const text = await response.text();
+      let result = null;
+      try {
+        result = text ? JSON.parse(text) : null;
+      } catch (error) {
+        result = text;
+      }
+
+      if (response.ok) {
+        return result;
+      }
+
+      if (response.status === 429) {
+        delay = retryAfterMs(response, result);
+        throw new Error(`Rate limited (status: 429)`);
+      }
+      if (response.status < 500) {
+        const error = new Error(`${label} request rejected (status: ${response.status}): ${typeof result === 'string' ? result : JSON.stringify(result)}`);
+        error.permanent = true;
+        throw error;
+      }
+      throw new Error(`Transient HTTP error! status: ${response.status}`);
+    } catch (error) {
+      if (error.permanent || attempt === MAX_RETRIES) {
+        throw error;
+      }
+
+      console.log(`⚠️ ${label} request failed (Attempt ${attempt}/${MAX_RETRIES}): ${error.message}. Retrying in ${delay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Function to space out requests to the same destination
+export function createThrottle(minInterval) {
+  const lastSent = new Map();
+
+  return async key => {
+    const wait = (lastSent.get(key) || 0) + minInterval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastSent.set(key, Date.now());
+  };
+}
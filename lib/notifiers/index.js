@@ -0,0 +1,76 @@
+import { expoNotifier } from './expo.js';
+import { telegramNotifier } from './telegram.js';
+import { discordNotifier } from './discord.js';
+import { slackNotifier } from './slack.js';
+import { emailNotifier } from './email.js';
+import { webhookNotifier } from './webhook.js';
+import { increment } from '../metrics.js';
+
+// Notifiers deliver subscriber notifications through one channel type each.
+// A notifier implements:
+//   send([{ notification, target }]) -> Promise<{ sent, failed, ... }>
+//   close() -> Promise<void> (optional)
+export const NOTIFIERS = {
+  expo: expoNotifier,
+  telegram: telegramNotifier,
+  discord: discordNotifier,
+  slack: slackNotifier,
+  email: emailNotifier,
+  webhook: webhookNotifier
+};
+
+// Function to list a subscriber's delivery channels
+// A top-level pushToken is shorthand for an Expo channel
+export function subscriberChannels(subscriber) {
+  const channels = [...(subscriber.channels || [])];
+  if (subscriber.pushToken && !channels.some(channel => channel.type === 'expo' && channel.pushToken === subscriber.pushToken)) {
+    channels.unshift({ type: 'expo', pushToken: subscriber.pushToken });
+  }
+  return channels.filter(channel => channel.enabled !== false);
+}
+
+// Function to send every notification through each of its channels
+// Returns the per-channel results, e.g. { expo: { sent, failed, deadTokens, receiptIds }, telegram: { sent, failed } }
+export async function dispatchNotifications(notifications) {
+  const byType = {};
+  notifications.forEach(notification => {
+    (notification.channels || []).forEach(target => {
+      if (!byType[target.type]) {
+        byType[target.type] = [];
+      }
+      byType[target.type].push({ notification, target });
+    });
+  });
+
+  const results = {};
+  for (const [type, deliveries] of Object.entries(byType)) {
+    const notifier = NOTIFIERS[type];
+    if (!notifier) {
+      console.error(`❌ Unknown notification channel: ${type}`);
+      results[type] = { sent: 0, failed: deliveries.length };
+      continue;
+    }
+
+    console.log(`📤 Delivering ${deliveries.length} notifications via ${type}`);
+    try {
+      results[type] = await notifier.send(deliveries);
+    } catch (error) {
+      console.error(`❌ Error delivering via ${type}:`, error);
+      results[type] = { sent: 0, failed: deliveries.length };
+    }
+  }
+
+  Object.entries(results).forEach(([channel, { sent, failed }]) => {
+    increment('court_monitor_notifications_sent_total', { channel }, sent);
+    increment('court_monitor_notifications_failed_total', { channel }, failed);
+  });
+
+  return results;
+}
+
+// Function to release notifier resources (SMTP pools)
+export async function closeNotifiers() {
+  for (const notifier of Object.values(NOTIFIERS)) {
+    await notifier.close?.();
+  }
+}
@@ -0,0 +1,41 @@
+import { postJson, createThrottle } from './http.js';
+
+// Slack incoming webhook channel: { type: 'slack', webhookUrl: 'https://hooks.slack.com/services/...' }
+
+// Slack incoming webhooks allow about one message per second
+const throttle = createThrottle(1000);
+
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Function to format a notification as Slack mrkdwn
+export function formatSlackMessage(notification) {
+  return {
+    text: `${notification.title}\n${notification.body}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: notification.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: escapeMrkdwn(notification.body) } }
+    ]
+  };
+}
+
+export const slackNotifier = {
+  type: 'slack',
+
+  async send(deliveries) {
+    const result = { sent: 0, failed: 0 };
+
+    for (const { notification, target } of deliveries) {
+      try {
+        await throttle(target.webhookUrl);
+        await postJson(target.webhookUrl, formatSlackMessage(notification), { label: 'Slack' });
+        result.sent++;
+      } catch (error) {
+        console.error('❌ Slack delivery failed:', error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+};
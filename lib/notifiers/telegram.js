@@ -0,0 +1,68 @@
+import { postJson, createThrottle } from './http.js';
+import { config } from '../config.js';
+
+// Telegram Bot API channel: { type: 'telegram', chatId: '-100123456789' }
+// Needs telegram.botToken (TELEGRAM_BOT_TOKEN); telegram.apiUrl (TELEGRAM_API_URL) can point at a mock server.
+
+const API_URL = config.telegram.apiUrl;
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Telegram allows about one message per second per chat (and 20 per minute in groups)
+const throttle = createThrottle(3000);
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Function to cut plain text to at most length characters, ending with "…" when it is cut
+function truncate(text, length) {
+  if (text.length <= length) {
+    return text;
+  }
+  let cut = text.slice(0, Math.max(length - 1, 0));
+  // Never keep half of a surrogate pair (an emoji), which Telegram rejects
+  if (/[\uD800-\uDBFF]$/.test(cut)) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut}…`;
+}
+
+// Function to format a notification as Telegram HTML
+// Telegram limits the text left after parsing the markup, so the plain text is truncated
+// before escaping; cutting the HTML could split an entity or the closing tag and get a 400
+export function formatTelegramMessage(notification) {
+  const title = truncate(notification.title, MAX_MESSAGE_LENGTH - 3);
+  const body = truncate(notification.body, MAX_MESSAGE_LENGTH - title.length - 2);
+  return `<b>${escapeHtml(title)}</b>\n\n${escapeHtml(body)}`;
+}
+
+export const telegramNotifier = {
+  type: 'telegram',
+
+  async send(deliveries) {
+    const result = { sent: 0, failed: 0 };
+    const token = config.telegram.botToken;
+    if (!token) {
+      console.error('❌ TELEGRAM_BOT_TOKEN is not set - skipping Telegram deliveries');
+      result.failed = deliveries.length;
+      return result;
+    }
+
+    for (const { notification, target } of deliveries) {
+      try {
+        await throttle(target.chatId);
+        await postJson(`${API_URL}/bot${token}/sendMessage`, {
+          chat_id: target.chatId,
+          text: formatTelegramMessage(notification),
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        }, { label: 'Telegram' });
+        result.sent++;
+      } catch (error) {
+        console.error(`❌ Telegram delivery to ${target.chatId} failed:`, error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+};
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { postJson } from './http.js';
+import { config } from '../config.js';
+
+// Generic JSON webhook channel: { type: 'webhook', url: 'https://example.com/hook', secret: '...' }
+//
+// The body is signed with HMAC-SHA256 over "<timestamp>.<body>" using the channel secret
+// (or WEBHOOK_SECRET), sent as:
+//   X-Court-Monitor-Timestamp: <unix seconds>
+//   X-Court-Monitor-Signature: sha256=<hex digest>
+
+// Function to sign a webhook body
+export function signWebhookBody(body, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export const webhookNotifier = {
+  type: 'webhook',
+
+  async send(deliveries) {
+    const result = { sent: 0, failed: 0 };
+
+    for (const { notification, target } of deliveries) {
+      const body = JSON.stringify({
+        subscriberId: notification.subscriberId,
+        kind: notification.kind,
+        priority: notification.priority || 'normal',
+        title: notification.title,
+        body: notification.body,
+        changes: notification.changes,
+        sentAt: new Date().toISOString()
+      });
+      const headers = {};
+      const secret = target.secret || config.webhook.secret;
+      if (secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers['X-Court-Monitor-Timestamp'] = String(timestamp);
+        headers['X-Court-Monitor-Signature'] = `sha256=${signWebhookBody(body, secret, timestamp)}`;
+      }
+
+      try {
+        await postJson(target.url, null, { headers, body, label: 'Webhook' });
+        result.sent++;
+      } catch (error) {
+        console.error(`❌ Webhook delivery to ${target.url} failed:`, error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+};
@@ -0,0 +1,88 @@
+import { COLLECTION_NAME } from './storage/firestore.js';
+import { removePushTokens } from './subscriptions.js';
+import { checkPushReceipts } from './expo-push.js';
+
+// Expo push follow-up work carried between runs (Firestore `court_data/push_receipts` document)
+//
+// {
+//   pending: { '<receipt id>': { token, sentAt } },   // tickets whose receipts are not checked yet
+//   deadTokens: ['ExponentPushToken[...]', ...]       // unregistered tokens that could not be removed yet
+// }
+
+const RECEIPTS_DOC_ID = 'push_receipts';
+const RECEIPT_MAX_AGE = 24 * 60 * 60 * 1000; // Expo keeps receipts for 24 hours
+
+// Function to load push receipt ids and dead tokens left pending by previous runs
+export async function loadPushReceipts(db) {
+  try {
+    const receiptsDoc = await db.collection(COLLECTION_NAME).doc(RECEIPTS_DOC_ID).get();
+    if (!receiptsDoc.exists) {
+      return { pending: {}, deadTokens: [] };
+    }
+
+    // Drop receipts Expo no longer keeps
+    const pending = {};
+    Object.entries(receiptsDoc.data().pending || {}).forEach(([id, entry]) => {
+      if (Date.now() - entry.sentAt < RECEIPT_MAX_AGE) {
+        pending[id] = entry;
+      }
+    });
+    return { pending, deadTokens: receiptsDoc.data().deadTokens || [] };
+  } catch (error) {
+    console.error('❌ Error loading pending push receipts:', error);
+    return { pending: {}, deadTokens: [] };
+  }
+}
+
+// Function to save push receipt ids and dead tokens to handle on the next run
+export async function savePushReceipts(db, receipts) {
+  try {
+    await db.collection(COLLECTION_NAME).doc(RECEIPTS_DOC_ID).set(receipts);
+    console.log(`🧾 Saved ${Object.keys(receipts.pending).length} pending push receipts`);
+  } catch (error) {
+    console.error('❌ Error saving pending push receipts:', error);
+  }
+}
+
+// Function to remove unregistered push tokens from their subscribers
+// Tokens that could not be removed stay in receipts.deadTokens and are retried on the next run
+export async function pruneDeadTokens(db, receipts, tokens) {
+  const deadTokens = [...new Set([...receipts.deadTokens, ...tokens])];
+  try {
+    await removePushTokens(db, deadTokens);
+    receipts.deadTokens = [];
+  } catch (error) {
+    receipts.deadTokens = deadTokens;
+    console.error(`❌ Keeping ${deadTokens.length} unregistered push tokens to remove on the next run`);
+  }
+}
+
+// Function to check receipts from earlier runs and prune tokens that are no longer registered
+// Returns the receipts to carry on with (still pending ids, dead tokens not removed yet)
+export async function processPendingReceipts(db) {
+  const receipts = await loadPushReceipts(db);
+  const receiptIds = {};
+  Object.entries(receipts.pending).forEach(([id, entry]) => {
+    receiptIds[id] = entry.token;
+  });
+
+  const checked = await checkPushReceipts(receiptIds);
+  const stillPending = {};
+  Object.keys(checked.pending).forEach(id => {
+    stillPending[id] = receipts.pending[id];
+  });
+  receipts.pending = stillPending;
+
+  await pruneDeadTokens(db, receipts, checked.deadTokens);
+  return receipts;
+}
+
+// Function to handle the Expo results of a delivery: prune dead tokens now, check receipts on a later run
+export async function recordPushResults(db, receipts, expoResults) {
+  await pruneDeadTokens(db, receipts, expoResults.deadTokens);
+
+  const sentAt = Date.now();
+  Object.entries(expoResults.receiptIds).forEach(([id, token]) => {
+    receipts.pending[id] = { token, sentAt };
+  });
+}
@@ -0,0 +1,62 @@
+import { sessionStart, toMinutes, hongKongTime, hongKongMinutes, HK_UTC_OFFSET } from './hk-time.js';
+import { config } from './config.js';
+
+// Quiet hours and time-to-session urgency, in Asia/Hong_Kong time
+//
+// Subscriber fields (see lib/subscriptions.js):
+//   quietHours: { from: '23:00', to: '07:00' }  // alerts are held inside this window (may span midnight)
+//   urgency: {
+//     urgentHours: 3,                           // sessions starting this soon break through quiet hours
+//     distantHours: 72,                         // sessions starting later than this are distant
+//     distantChannels: ['email']                // channel types for distant matches (default: the digest)
+//   }
+//
+// alerts.urgentSessionHours (URGENT_SESSION_HOURS, default 3) and alerts.distantSessionHours
+// (DISTANT_SESSION_HOURS, default unset: nothing is distant) apply to subscribers without their own.
+
+export const URGENT_SESSION_HOURS = config.alerts.urgentSessionHours;
+export const DISTANT_SESSION_HOURS = config.alerts.distantSessionHours;
+export const URGENCY_LEVELS = ['urgent', 'normal', 'distant'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Function to classify a change by how soon its session starts: 'urgent', 'normal' or 'distant'
+export function classifyUrgency(change, subscriber, now = new Date()) {
+  const urgentHours = subscriber.urgency?.urgentHours ?? URGENT_SESSION_HOURS;
+  const distantHours = subscriber.urgency?.distantHours ?? DISTANT_SESSION_HOURS;
+  const hoursLeft = (sessionStart(change.date, change.startTime) - now) / HOUR;
+
+  if (hoursLeft <= urgentHours) {
+    return 'urgent';
+  }
+  if (distantHours !== null && distantHours !== undefined && hoursLeft > distantHours) {
+    return 'distant';
+  }
+  return 'normal';
+}
+
+// Function to find when the subscriber's current quiet hours end
+// Returns null outside quiet hours (or when the subscriber has none)
+export function quietHoursEnd(subscriber, now = new Date()) {
+  const { from, to } = subscriber.quietHours || {};
+  if (!from || !to) {
+    return null;
+  }
+
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  const minute = hongKongMinutes(now);
+  const quiet = start <= end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end; // window spans midnight
+  if (!quiet) {
+    return null;
+  }
+
+  // Today's (or, before midnight in a spanning window, tomorrow's) end time in Hong Kong
+  const local = hongKongTime(now);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - HK_UTC_OFFSET;
+  const endsAt = midnight + end * 60 * 1000 + (minute >= end ? DAY : 0);
+  return new Date(endsAt);
+}
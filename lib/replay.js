@@ -0,0 +1,99 @@
+import { runMonitorCycle } from './monitor.js';
+import { createMemoryStorage } from './storage/memory.js';
+import { buildSubscriberNotifications } from './subscriptions.js';
+import { NOTIFIERS, dispatchNotifications } from './notifiers/index.js';
+
+// Replay harness: feeds a sequence of snapshots (see lib/snapshots.js) through the monitor
+// pipeline - feed-health checks, change detection, watch rules, cooldowns and digests -
+// with every notifier replaced by a recorder, and reports which alerts would have fired when.
+// Each snapshot's fetchedAt is used as the clock, so cooldowns and digests behave as they did live.
+
+// Catch-all subscriber used when no subscribers are given
+export const REPLAY_SUBSCRIBER = {
+  id: 'replay',
+  name: 'Replay',
+  channels: [{ type: 'webhook', url: 'replay://alerts' }],
+  rules: []
+};
+
+// Function to replace every notifier with one that records deliveries; returns a restore function
+function recordNotifiers(sink) {
+  const originals = { ...NOTIFIERS };
+  Object.keys(NOTIFIERS).forEach(type => {
+    NOTIFIERS[type] = {
+      async send(deliveries) {
+        deliveries.forEach(({ notification, target }) => sink(type, notification, target));
+        return { sent: deliveries.length, failed: 0 };
+      }
+    };
+  });
+  return () => Object.assign(NOTIFIERS, originals);
+}
+
+// Function to replay snapshots and collect the alerts they trigger
+// Returns { steps: [{ time, records, changes, rejected, problems, alerts }], alerts }
+export async function replaySnapshots(snapshots, { subscribers = [REPLAY_SUBSCRIBER] } = {}) {
+  const storage = createMemoryStorage();
+  const alertState = {};
+  const alerts = [];
+  const recorded = new WeakSet();
+  let time = null;
+
+  const restore = recordNotifiers((channel, notification) => {
+    // A notification reaches every channel of its subscriber; record it once
+    if (recorded.has(notification)) {
+      return;
+    }
+    recorded.add(notification);
+    alerts.push({
+      time: time.toISOString(),
+      subscriberId: notification.subscriberId,
+      kind: notification.kind,
+      priority: notification.priority || 'normal',
+      title: notification.title,
+      body: notification.body,
+      slots: notification.changes.map(change => change.slotKey)
+    });
+  });
+
+  const steps = [];
+  try {
+    for (const snapshot of snapshots) {
+      time = snapshot.fetchedAt;
+      const firstAlert = alerts.length;
+
+      const result = await runMonitorCycle(storage, {
+        fetcher: async () => ({
+          data: snapshot.records,
+          notModified: false,
+          etag: null,
+          lastModified: null,
+          quarantined: []
+        }),
+        now: time,
+        record: false
+      });
+
+      const notifications = buildSubscriberNotifications(result.changes, subscribers, alertState, {
+        currentData: result.currentData,
+        previousData: result.previousData,
+        now: time
+      });
+      await dispatchNotifications(notifications);
+
+      steps.push({
+        time: time.toISOString(),
+        file: snapshot.file,
+        records: snapshot.records.length,
+        changes: result.changes.length,
+        rejected: Boolean(result.rejected),
+        problems: result.problems.map(problem => problem.message),
+        alerts: alerts.slice(firstAlert)
+      });
+    }
+  } finally {
+    restore();
+  }
+
+  return { steps, alerts };
+}
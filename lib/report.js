@@ -0,0 +1,246 @@
+import fs from 'fs';
+import { AVAILABILITY_CHANGE_TYPES } from './court-data.js';
+import { toSlot, compareStartTimes } from './court-query.js';
+import { recentlyFreed } from './history-query.js';
+import { historyDir } from './history.js';
+import { FACILITY_TYPES, facilityOf } from './facilities.js';
+import { formatDate } from './i18n.js';
+import { config } from './config.js';
+
+// Self-contained HTML availability report
+//
+// One page with:
+//   - a heatmap of Available_Courts per facility type and date: venue rows x session columns
+//   - district and facility filters, plus "only venues with courts" (applied in the page)
+//   - a "recently freed" list: slots that freed up within report.freedHours (REPORT_FREED_HOURS,
+//     default 24), from the availability history and the changes of the latest poll
+//
+// CSS and the filter script are inlined, so the file works opened from disk, uploaded as a
+// build artifact (REPORT_FILE, see .github/workflows) or served by GET /report.html.
+
+const HOUR = 60 * 60 * 1000;
+const MAX_LEVEL = 4; // cells with this many courts or more share the darkest colour
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 1.5rem; color: #1f2933; }
+h1 { font-size: 1.4rem; margin: 0 0 .25rem; }
+h2 { font-size: 1.1rem; margin: 1.5rem 0 .5rem; }
+.meta { color: #616e7c; margin: 0 0 1rem; }
+.filters { display: flex; gap: 1rem; align-items: center; flex-wrap: wrap; margin-bottom: 1rem; }
+table { border-collapse: collapse; }
+th, td { padding: .2rem .45rem; border: 1px solid #e4e7eb; white-space: nowrap; }
+thead th { position: sticky; top: 0; background: #f5f7fa; }
+tbody th { text-align: left; font-weight: 500; }
+.heatmap td.slot { text-align: center; min-width: 2.2rem; }
+.none { background: #fff; }
+.l0 { background: #f0f0f0; color: #9aa5b1; }
+.l1 { background: #d3f9d8; }
+.l2 { background: #8ce99a; }
+.l3 { background: #40c057; color: #fff; }
+.l4 { background: #2b8a3e; color: #fff; }
+.district { color: #616e7c; }
+.freed li { margin: .15rem 0; }
+.taken { color: #9aa5b1; text-decoration: line-through; }
+[hidden] { display: none !important; }
+`;
+
+const SCRIPT = `
+const controls = ['district', 'facility', 'open-only'].map(id => document.getElementById(id)).filter(Boolean);
+function applyFilters() {
+  const district = document.getElementById('district').value;
+  const facility = document.getElementById('facility')?.value || '';
+  const openOnly = document.getElementById('open-only').checked;
+  document.querySelectorAll('[data-district]').forEach(item => {
+    item.hidden = (district && item.dataset.district !== district)
+      || (facility && item.dataset.facility && item.dataset.facility !== facility)
+      || (openOnly && item.dataset.open === '0');
+  });
+  document.querySelectorAll('section[data-facility]').forEach(section => {
+    section.hidden = (facility && section.dataset.facility !== facility)
+      || !section.querySelector('tbody tr:not([hidden])');
+  });
+}
+controls.forEach(control => control.addEventListener('change', applyFilters));
+applyFilters();
+`;
+
+// Function to escape text for HTML content and attribute values
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function hongKongTime(time) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Hong_Kong',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(time);
+}
+
+function facilityLabel(id) {
+  const facility = FACILITY_TYPES[id];
+  return facility ? `${facility.icon} ${facility.name}` : id;
+}
+
+// Function to group slots by facility and date, then venue and session start time
+function groupSlots(slots) {
+  const groups = new Map();
+  slots.forEach(slot => {
+    const key = `${slot.facility}|${slot.date}`;
+    if (!groups.has(key)) {
+      groups.set(key, { facility: slot.facility, date: slot.date, sessions: new Set(), venues: new Map() });
+    }
+    const group = groups.get(key);
+    group.sessions.add(slot.startTime);
+    if (!group.venues.has(slot.venue)) {
+      group.venues.set(slot.venue, { venue: slot.venue, district: slot.district, slots: new Map() });
+    }
+    group.venues.get(slot.venue).slots.set(slot.startTime, slot);
+  });
+
+  return [...groups.values()].sort((a, b) => (
+    a.date.localeCompare(b.date) || Object.keys(FACILITY_TYPES).indexOf(a.facility) - Object.keys(FACILITY_TYPES).indexOf(b.facility)
+  ));
+}
+
+function heatmapSection(group) {
+  const sessions = [...group.sessions].sort(compareStartTimes);
+  const venues = [...group.venues.values()].sort((a, b) => (
+    (a.district || '').localeCompare(b.district || '') || a.venue.localeCompare(b.venue)
+  ));
+
+  const rows = venues.map(({ venue, district, slots }) => {
+    const open = [...slots.values()].some(slot => slot.courts > 0);
+    const cells = sessions.map(start => {
+      const slot = slots.get(start);
+      if (!slot) {
+        return '<td class="slot none"></td>';
+      }
+      const title = `${venue} ${group.date} ${slot.startTime}-${slot.endTime}: ${slot.courts} ${slot.courts === 1 ? 'court' : 'courts'}`;
+      return `<td class="slot l${Math.min(slot.courts, MAX_LEVEL)}" title="${escapeHtml(title)}">${slot.courts}</td>`;
+    });
+    return `<tr data-district="${escapeHtml(district)}" data-open="${open ? 1 : 0}"><th>${escapeHtml(venue)}</th><td class="district">${escapeHtml(district)}</td>${cells.join('')}</tr>`;
+  });
+
+  return `<section data-facility="${escapeHtml(group.facility)}">
+<h2>${escapeHtml(facilityLabel(group.facility))} · ${escapeHtml(formatDate(group.date))} (${escapeHtml(group.date)})</h2>
+<table class="heatmap">
+<thead><tr><th>Venue</th><th>District</th>${sessions.map(start => `<th>${escapeHtml(start)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>`;
+}
+
+function freedList(freed) {
+  if (freed.length === 0) {
+    return '<p class="meta">No courts freed up recently.</p>';
+  }
+  const items = freed.map(slot => {
+    const text = `${facilityLabel(slot.facility)} · ${slot.venue} · ${formatDate(slot.date)} ${slot.startTime}-${slot.endTime}`;
+    const status = slot.courts > 0 ? `${slot.courts} ${slot.courts === 1 ? 'court' : 'courts'} free` : 'taken again';
+    return `<li data-district="${escapeHtml(slot.district)}" data-facility="${escapeHtml(slot.facility)}" data-open="${slot.courts > 0 ? 1 : 0}"${slot.courts > 0 ? '' : ' class="taken"'}>`
+      + `${escapeHtml(hongKongTime(slot.freedAt))} · ${escapeHtml(text)} (${escapeHtml(status)})</li>`;
+  });
+  return `<ul class="freed">\n${items.join('\n')}\n</ul>`;
+}
+
+// Function to list the slots that freed up recently, most recent first
+// Combines the availability history of each facility type with the latest poll's changes
+// (each change's detectedAt, or now); districts and current court counts come from the snapshot.
+export function collectRecentlyFreed({ currentData = [], changes = [], hours = config.report.freedHours, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - hours * HOUR);
+  const current = new Map(currentData.map(court => {
+    const slot = toSlot(court);
+    return [`${slot.facility}|${slot.venue}|${slot.date}|${slot.startTime}`, slot];
+  }));
+  const districts = new Map(currentData.map(court => [court.Venue_Name_EN, court.District_Name_EN?.trim()]));
+
+  const freed = new Map();
+  const add = slot => {
+    const key = `${slot.facility}|${slot.venue}|${slot.date}|${slot.startTime}`;
+    if (slot.freedAt < since || (freed.has(key) && freed.get(key).freedAt >= slot.freedAt)) {
+      return;
+    }
+    freed.set(key, {
+      ...slot,
+      district: slot.district || districts.get(slot.venue) || '',
+      courts: current.get(key)?.courts ?? slot.courts
+    });
+  };
+
+  new Set(currentData.map(facilityOf)).forEach(facility => {
+    recentlyFreed(since, { dir: historyDir(facility) }).forEach(slot => add({ ...slot, facility }));
+  });
+  changes
+    .filter(change => AVAILABILITY_CHANGE_TYPES.includes(change.type))
+    .forEach(change => add({
+      facility: facilityOf(change),
+      venue: change.venue,
+      district: change.district?.trim(),
+      date: change.date,
+      startTime: change.startTime,
+      endTime: change.time.split('-')[1],
+      courts: change.currentCount,
+      freedAt: change.detectedAt ? new Date(change.detectedAt) : now
+    }));
+
+  return [...freed.values()].sort((a, b) => b.freedAt - a.freedAt);
+}
+
+// Function to build the HTML report of a snapshot
+// freed is a list as returned by collectRecentlyFreed
+export function buildHtmlReport({ currentData = [], freed = [], generatedAt = new Date(), title = 'LCSD court availability' } = {}) {
+  const slots = currentData.map(toSlot);
+  const groups = groupSlots(slots);
+  const districts = [...new Set(slots.map(slot => slot.district).filter(Boolean))].sort();
+  const facilities = [...new Set(slots.map(slot => slot.facility))];
+  const openSessions = slots.filter(slot => slot.courts > 0).length;
+  const openCourts = slots.reduce((sum, slot) => sum + slot.courts, 0);
+
+  const facilityFilter = facilities.length > 1
+    ? `<label>Sport <select id="facility"><option value="">All sports</option>${facilities.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(facilityLabel(id))}</option>`).join('')}</select></label>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(hongKongTime(generatedAt))} (Hong Kong time) · ${slots.length} sessions, ${openSessions} with courts free (${openCourts} courts)</p>
+<div class="filters">
+<label>District <select id="district"><option value="">All districts</option>${districts.map(district => `<option>${escapeHtml(district)}</option>`).join('')}</select></label>
+${facilityFilter}
+<label><input type="checkbox" id="open-only"> Only venues with courts</label>
+</div>
+<h2>Recently freed</h2>
+${freedList(freed)}
+${groups.length > 0 ? groups.map(heatmapSection).join('\n') : '<p class="meta">No court data.</p>'}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Function to write the HTML report of a monitor cycle's snapshot and changes
+export function writeHtmlReport(file, { currentData, changes = [], now = new Date() }) {
+  try {
+    const freed = collectRecentlyFreed({ currentData, changes, now });
+    fs.writeFileSync(file, buildHtmlReport({ currentData, freed, generatedAt: now }));
+    console.log(`📊 Availability report written to ${file}`);
+  } catch (error) {
+    console.error('❌ Error writing the availability report:', error);
+  }
+}
@@ -0,0 +1,105 @@
+import { config } from './config.js';
+import { toMinutes, hongKongMinutes } from './hk-time.js';
+
+// In-process scheduler for daemon mode
+//
+// Config (scheduler section of lib/config.js, env vars in brackets, seconds unless noted):
+//   pollInterval      (POLL_INTERVAL) normal interval between polls (default 300)
+//   fastPollInterval  (FAST_POLL_INTERVAL) interval inside a release window (default 60)
+//   pollJitter        (POLL_JITTER) random +/- jitter added to every interval (default 20)
+//   releaseWindows    (RELEASE_WINDOWS) HH:MM-HH:MM ranges in Hong Kong time (default 07:00-07:30)
+//                     during which the LCSD open-data file is expected to refresh
+
+const MIN_DELAY = 10 * 1000;
+
+// Function to parse "07:00-07:30,19:00-19:15" into [{ from, to }] minute ranges
+export function parseReleaseWindows(value) {
+  return String(value || '')
+    .split(',')
+    .map(range => range.trim())
+    .filter(Boolean)
+    .map(range => {
+      const [from, to] = range.split('-');
+      if (!from || !to) {
+        throw new Error(`Invalid release window "${range}" (expected HH:MM-HH:MM)`);
+      }
+      return { from: toMinutes(from), to: toMinutes(to) };
+    });
+}
+
+export function loadSchedulerOptions() {
+  return {
+    interval: config.scheduler.pollInterval * 1000,
+    fastInterval: config.scheduler.fastPollInterval * 1000,
+    jitter: config.scheduler.pollJitter * 1000,
+    releaseWindows: parseReleaseWindows(config.scheduler.releaseWindows.join(','))
+  };
+}
+
+// Function to check whether a moment falls inside one of the release windows (Hong Kong time)
+export function inReleaseWindow(date, releaseWindows) {
+  const minutes = hongKongMinutes(date);
+  return releaseWindows.some(({ from, to }) => (
+    from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to
+  ));
+}
+
+// Function to work out how long to sleep before the next poll
+export function nextPollDelay(now, options) {
+  const base = inReleaseWindow(now, options.releaseWindows) ? options.fastInterval : options.interval;
+  const jitter = (Math.random() * 2 - 1) * options.jitter;
+  return Math.max(MIN_DELAY, Math.round(base + jitter));
+}
+
+// Function to run a cycle repeatedly until SIGTERM/SIGINT
+// A signal interrupts the sleep between polls; an in-flight cycle is allowed to finish
+export async function runDaemon(cycle, options = loadSchedulerOptions()) {
+  let stopping = false;
+  let wake = null;
+
+  const stop = signal => {
+    if (stopping) {
+      console.log(`🛑 Received ${signal} again - exiting immediately`);
+      process.exit(1);
+    }
+    console.log(`🛑 Received ${signal} - shutting down after the current cycle...`);
+    stopping = true;
+    if (wake) {
+      wake();
+    }
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+
+  console.log(`⏱️ Daemon started: every ${options.interval/1000}s, ${options.fastInterval/1000}s in release windows, ±${options.jitter/1000}s jitter`);
+
+  try {
+    while (!stopping) {
+      try {
+        await cycle();
+      } catch (error) {
+        console.error('❌ Error in daemon cycle:', error);
+      }
+
+      if (stopping) {
+        break;
+      }
+
+      const delay = nextPollDelay(new Date(), options);
+      console.log(`💤 Next poll in ${Math.round(delay/1000)} seconds`);
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+  } finally {
+    process.off('SIGTERM', stop);
+    process.off('SIGINT', stop);
+  }
+
+  console.log('👋 Daemon stopped');
+}
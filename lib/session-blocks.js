@@ -0,0 +1,104 @@
+import { slotKey, BLOCK_CHANGE_TYPE } from './court-data.js';
+import { formatChangeMessage } from './i18n.js';
+import { facilityOf } from './facilities.js';
+import { toMinutes } from './hk-time.js';
+
+// Contiguous-session finder for multi-hour bookings
+//
+// Each LCSD record covers one Session_Start_Time-Session_End_Time slot. A block is a run of
+// back-to-back sessions (one session's end time is the next one's start time) of the same
+// facility type at the same venue and date, each with at least minCourts courts, lasting at least the requested hours.
+// A session ending at "00:00" ends at midnight; blocks do not continue into the next date's sessions.
+
+// Function to get a session's end time in minutes after the midnight starting its date
+function endMinutes(court) {
+  const end = toMinutes(court.Session_End_Time);
+  return end <= toMinutes(court.Session_Start_Time) ? end + 24 * 60 : end;
+}
+
+function duration(sessions) {
+  return endMinutes(sessions[sessions.length - 1]) - toMinutes(sessions[0].Session_Start_Time);
+}
+
+// Function to find the runs of back-to-back sessions with at least minCourts courts each
+// Returns arrays of records, each sorted by start time; runs shorter than the requested hours are left out
+export function findSessionBlocks(data, { hours = 2, minCourts = 1 } = {}) {
+  const groups = new Map();
+  data
+    .filter(court => parseInt(court.Available_Courts || 0) >= minCourts)
+    .forEach(court => {
+      const key = `${facilityOf(court)}|${court.Venue_Name_EN}|${court.Available_Date}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(court);
+    });
+
+  const runs = [];
+  groups.forEach(sessions => {
+    sessions.sort((a, b) => toMinutes(a.Session_Start_Time) - toMinutes(b.Session_Start_Time));
+    let run = [];
+    sessions.forEach(court => {
+      const previous = run[run.length - 1];
+      if (previous && endMinutes(previous) !== toMinutes(court.Session_Start_Time)) {
+        runs.push(run);
+        run = [];
+      }
+      run.push(court);
+    });
+    runs.push(run);
+  });
+
+  return runs.filter(run => run.length > 0 && duration(run) >= hours * 60);
+}
+
+// Function to build a change record for a block of sessions
+export function buildBlockChange(run) {
+  const first = run[0];
+  const last = run[run.length - 1];
+  const change = {
+    type: BLOCK_CHANGE_TYPE,
+    slotKey: `${slotKey(first)}-${last.Session_End_Time}`,
+    slotKeys: run.map(slotKey),
+    facility: facilityOf(first),
+    venue: first.Venue_Name_EN,
+    venueTC: first.Venue_Name_TC?.trim(),
+    district: first.District_Name_EN?.trim(),
+    districtTC: first.District_Name_TC?.trim(),
+    date: first.Available_Date,
+    time: `${first.Session_Start_Time}-${last.Session_End_Time}`,
+    startTime: first.Session_Start_Time,
+    endTime: last.Session_End_Time,
+    sessions: run.length,
+    hours: duration(run) / 60,
+    currentCount: Math.min(...run.map(court => parseInt(court.Available_Courts || 0)))
+  };
+  change.message = formatChangeMessage(change);
+  return change;
+}
+
+// Function to detect blocks that became complete since the previous snapshot
+// A block is reported when any window of the requested length inside it was not fully
+// available before - including a single freed session filling the gap between two open ones.
+export function detectBlockChanges(currentData, previousData, { hours = 2, minCourts = 1 } = {}) {
+  if (!previousData) {
+    return [];
+  }
+
+  const previouslyOpen = new Set(
+    previousData
+      .filter(court => parseInt(court.Available_Courts || 0) >= minCourts)
+      .map(slotKey)
+  );
+
+  return findSessionBlocks(currentData, { hours, minCourts })
+    .filter(run => run.some((court, start) => {
+      // Shortest window starting at this session that is long enough
+      let end = start;
+      while (end < run.length && duration(run.slice(start, end + 1)) < hours * 60) {
+        end++;
+      }
+      return end < run.length && run.slice(start, end + 1).some(session => !previouslyOpen.has(slotKey(session)));
+    }))
+    .map(buildBlockChange);
+}
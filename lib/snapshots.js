@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_FACILITY, facilityNamespace } from './facilities.js';
+import { config } from './config.js';
+
+// Raw snapshot recorder and loader for replays (see lib/replay.js)
+//
+// With SNAPSHOT_DIR set, every fetched court data file is saved as
+//   <SNAPSHOT_DIR>/<fetchedAt with ":" replaced by "-">.json
+//   { "fetchedAt": "...", "etag": "...", "lastModified": "...", "records": [...], "quarantined": [...] }
+// and files older than SNAPSHOT_RETENTION_DAYS (default 7) are removed. Facility types other
+// than badminton are recorded in a subdirectory named after the facility (see snapshotDir).
+
+export const SNAPSHOT_DIR = config.snapshots.dir;
+export const SNAPSHOT_RETENTION_DAYS = config.snapshots.retentionDays;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Function to get the snapshot directory of a facility type, or null when recording is off
+export function snapshotDir(facility = DEFAULT_FACILITY, dir = SNAPSHOT_DIR) {
+  const namespace = facilityNamespace(facility);
+  return dir && namespace ? path.join(dir, namespace) : dir;
+}
+
+function fileTime(name) {
+  // 2026-10-19T11-05-00.000Z.json -> 2026-10-19T11:05:00.000Z
+  return new Date(name.replace(/\.json$/, '').replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3'));
+}
+
+// Function to save a fetched snapshot and drop expired ones
+export function saveRawSnapshot(fetched, { dir = SNAPSHOT_DIR, fetchedAt = new Date(), retentionDays = SNAPSHOT_RETENTION_DAYS } = {}) {
+  if (!dir) {
+    return;
+  }
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${fetchedAt.toISOString().replace(/:/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      fetchedAt: fetchedAt.toISOString(),
+      etag: fetched.etag,
+      lastModified: fetched.lastModified,
+      records: fetched.data,
+      quarantined: fetched.quarantined
+    }));
+    console.log(`🎞️ Recorded snapshot ${file}`);
+
+    const cutoff = fetchedAt.getTime() - retentionDays * DAY;
+    fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json') && fileTime(name).getTime() < cutoff)
+      .forEach(name => fs.unlinkSync(path.join(dir, name)));
+  } catch (error) {
+    console.error('❌ Error recording raw snapshot:', error);
+  }
+}
+
+// Function to load snapshots for a replay from recorded files, directories of them, or plain
+// JSON arrays of court records (e.g. previous_court_data.json)
+// Plain arrays have no timestamp: they are spaced intervalMinutes apart from start, in the given order.
+export function loadSnapshots(paths, { intervalMinutes = 5, start = new Date() } = {}) {
+  const files = paths.flatMap(entry => (
+    fs.statSync(entry).isDirectory()
+      ? fs.readdirSync(entry).filter(name => name.endsWith('.json')).sort().map(name => path.join(entry, name))
+      : [entry]
+  ));
+
+  return files
+    .map((file, index) => {
+      const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(content)) {
+        return { file, fetchedAt: new Date(start.getTime() + index * intervalMinutes * 60 * 1000), records: content };
+      }
+      if (!Array.isArray(content.records)) {
+        throw new Error(`${file} is neither a recorded snapshot nor an array of court records`);
+      }
+      return { file, fetchedAt: new Date(content.fetchedAt), records: content.records };
+    })
+    .sort((a, b) => a.fetchedAt - b.fetchedAt);
+}
@@ -0,0 +1,69 @@
+import fs from 'fs';
+
+// Local JSON file storage
+export const DATA_FILE = 'previous_court_data.json';
+
+// A namespace (another facility type) is inserted before the extension: previous_court_data.tennis.json
+export function createFileStorage(dataFile = DATA_FILE, { namespace = '' } = {}) {
+  if (namespace) {
+    dataFile = dataFile.replace(/(\.json)?$/, `.${namespace}.json`);
+  }
+  // Fetch validators (ETag / Last-Modified) live next to the data file
+  const metaFile = dataFile.replace(/\.json$/, '') + '.meta.json';
+
+  return {
+    name: 'file',
+
+    // Function to load previous data
+    async loadPreviousData() {
+      try {
+        if (fs.existsSync(dataFile)) {
+          console.log(`📂 Found previous data file: ${dataFile}`);
+          const data = fs.readFileSync(dataFile, 'utf8');
+          const parsedData = JSON.parse(data);
+          console.log(`📊 Loaded ${parsedData.length} previous court records`);
+          return parsedData;
+        } else {
+          console.log(`📂 No previous data file found: ${dataFile}`);
+          console.log('🔍 This is the first run or previous data was not available');
+        }
+      } catch (error) {
+        console.error('❌ Error loading previous data:', error);
+        console.log('🔍 Will treat this as first run');
+      }
+      return null;
+    },
+
+    // Function to save current data
+    async saveCurrentData(data) {
+      try {
+        fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+        console.log('Current data saved for next comparison');
+      } catch (error) {
+        console.error('Error saving current data:', error);
+        throw error;
+      }
+    },
+
+    // Function to load the validators of the last fetch
+    async loadFetchMeta() {
+      try {
+        if (fs.existsSync(metaFile)) {
+          return JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+        }
+      } catch (error) {
+        console.error('❌ Error loading fetch metadata:', error);
+      }
+      return null;
+    },
+
+    // Function to save the validators of the last fetch
+    async saveFetchMeta(meta) {
+      try {
+        fs.writeFileSync(metaFile, JSON.stringify(meta, null, 2));
+      } catch (error) {
+        console.error('Error saving fetch metadata:', error);
+      }
+    }
+  };
+}
@@ -0,0 +1,374 @@
+import os from 'os';
+import zlib from 'zlib';
+import { admin } from '../firebase.js';
+import { config } from '../config.js';
+
+// Firestore storage: one document per venue/date/session slot, versioned by generation
+//
+//   court_data/head      { generation, baseGeneration, baseChunks, committedAt, totalRecords, changedSlots }
+//   court_data/base_<generation>_<n>  { generation, index, data }  (gzipped JSON of every record)
+//   court_data/lease     { owner, acquiredAt, expiresAt }   (run lease, see acquireLease)
+//   court_slots/<slot>   { current: { generation, record }, previous: { generation, record } | null }
+//
+// A run only writes the slots whose record changed (record null = slot left the feed), stamped
+// with the next generation, and then advances head.generation in a transaction. Readers first
+// read head and pick, per slot, the newest version not newer than that generation, so they
+// always see one consistent generation even while a write is in progress. Every write checks
+// that the run still holds the lease and that head has not moved, so a run that lost its
+// lease cannot overwrite a newer generation.
+//
+// So that a run does not read every slot document, head points at a base: the full record set
+// of an earlier generation, stored compressed in a few documents. Readers load the base and only
+// the slot documents written after it (current.generation > baseGeneration). Once more than
+// BASE_REBUILD_SLOTS slots changed since the base, the writer stores a new base with the next
+// generation; base documents are named by generation, so readers of the old head are unaffected.
+//
+// Facility types other than badminton use the same layout in collections prefixed with the
+// namespace (tennis_court_data, tennis_court_slots).
+export const COLLECTION_NAME = 'court_data';
+export const SLOTS_COLLECTION = 'court_slots';
+const HEAD_DOC_ID = 'head';
+const LEASE_DOC_ID = 'lease';
+const FETCH_META_DOC_ID = 'fetch_meta';
+const LEGACY_METADATA_DOC_ID = 'metadata';
+const WRITES_PER_TRANSACTION = 400; // Firestore allows 500 writes per transaction
+const BASE_CHUNK_BYTES = 900 * 1024; // Firestore documents hold at most 1 MiB
+const BASE_REBUILD_SLOTS = 300;
+const READ_ATTEMPTS = 3;
+export const RUN_LEASE_SECONDS = config.storage.runLeaseSeconds;
+
+// Function to build the document id of a slot (venue/date/session)
+export function slotDocId(court) {
+  return encodeURIComponent([court.Venue_Name_EN, court.Available_Date, court.Session_Start_Time].join('|'));
+}
+
+// Function to pick the version of a slot visible at a generation
+// Returns undefined when both versions are newer (the reader fell two generations behind)
+function versionAt(slot, generation) {
+  if (slot.current.generation <= generation) {
+    return slot.current;
+  }
+  if (!slot.previous) {
+    return { generation: 0, record: null };
+  }
+  return slot.previous.generation <= generation ? slot.previous : undefined;
+}
+
+function baseDocId(generation, index) {
+  return `base_${generation}_${index}`;
+}
+
+// Function to compress a record set into base document payloads
+function encodeBase(records) {
+  const compressed = zlib.gzipSync(JSON.stringify(records));
+  const chunks = [];
+  for (let offset = 0; offset < compressed.length; offset += BASE_CHUNK_BYTES) {
+    chunks.push(compressed.subarray(offset, offset + BASE_CHUNK_BYTES));
+  }
+  return chunks;
+}
+
+function decodeBase(chunks) {
+  return JSON.parse(zlib.gunzipSync(Buffer.concat(chunks.map(chunk => Buffer.from(chunk)))).toString('utf8'));
+}
+
+function sameRecord(a, b) {
+  const stable = record => record && JSON.stringify(Object.keys(record).sort().map(key => [key, record[key]]));
+  return stable(a) === stable(b);
+}
+
+export function createFirestoreStorage(db, { owner = `${os.hostname()}-${process.pid}-${Date.now()}`, namespace = '' } = {}) {
+  const prefix = namespace ? `${namespace}_` : '';
+  const dataCollection = db.collection(`${prefix}${COLLECTION_NAME}`);
+  const slotsCollection = db.collection(`${prefix}${SLOTS_COLLECTION}`);
+  const headRef = dataCollection.doc(HEAD_DOC_ID);
+  const leaseRef = dataCollection.doc(LEASE_DOC_ID);
+
+  // Generation, base records and slot documents seen by the last load, used to work out the delta to write
+  let loaded = null;
+  let holdsLease = false;
+
+  // Function to read the base records of a head; returns null when a base document is gone
+  // (a newer base replaced it while this reader was behind)
+  async function readBase(head) {
+    if (!head.baseChunks) {
+      return new Map();
+    }
+    const refs = Array.from({ length: head.baseChunks }, (_, i) => dataCollection.doc(baseDocId(head.baseGeneration, i)));
+    const docs = await db.getAll(...refs);
+    if (docs.some(doc => !doc.exists)) {
+      return null;
+    }
+    return new Map(decodeBase(docs.map(doc => doc.data().data)).map(record => [slotDocId(record), record]));
+  }
+
+  // Function to read the records as of the committed generation: the base, plus the slot
+  // documents written after it
+  async function readGeneration() {
+    for (let attempt = 1; attempt <= READ_ATTEMPTS; attempt++) {
+      const headDoc = await headRef.get();
+      const head = headDoc.exists ? headDoc.data() : {};
+      const generation = head.generation || 0;
+      // Heads written before bases existed have none: every slot document is read once
+      const baseGeneration = head.baseGeneration || 0;
+      const base = await readBase(head);
+      const snapshot = await slotsCollection.where('current.generation', '>', baseGeneration).get();
+
+      const slots = new Map();
+      // A commit while reading may have replaced the base and dropped slot documents it covers
+      let consistent = base !== null && ((await headRef.get()).data()?.generation || 0) === generation;
+      snapshot.forEach(doc => {
+        slots.set(doc.id, doc.data());
+        if (versionAt(doc.data(), generation) === undefined) {
+          consistent = false;
+        }
+      });
+
+      if (consistent) {
+        return { generation, baseGeneration, baseChunks: head.baseChunks || 0, base, slots, exists: headDoc.exists };
+      }
+      console.log(`🔁 Court data moved on while reading generation ${generation} - retrying (${attempt}/${READ_ATTEMPTS})`);
+    }
+    throw new Error('Court data kept changing while it was being read');
+  }
+
+  // Function to get a slot's version visible at the loaded generation ({ generation, record })
+  function visibleVersion(id) {
+    const slot = loaded.slots.get(id);
+    if (slot) {
+      return versionAt(slot, loaded.generation);
+    }
+    return loaded.base.has(id) ? { generation: loaded.baseGeneration, record: loaded.base.get(id) } : null;
+  }
+
+  // Function to load data saved by the old chunked layout (metadata + chunk_N documents)
+  async function readLegacyChunks() {
+    const metadataDoc = await dataCollection.doc(LEGACY_METADATA_DOC_ID).get();
+    if (!metadataDoc.exists) {
+      return null;
+    }
+
+    const { totalChunks } = metadataDoc.data();
+    const refs = Array.from({ length: totalChunks }, (_, i) => dataCollection.doc(`chunk_${i}`));
+    const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+    const data = docs.filter(doc => doc.exists).flatMap(doc => doc.data().data);
+    console.log(`📦 Loaded ${data.length} records from the legacy chunked layout`);
+    return { data, chunkRefs: refs.concat(dataCollection.doc(LEGACY_METADATA_DOC_ID)) };
+  }
+
+  // Function to run writes in a transaction that first checks the lease and the head generation
+  async function fencedWrite(generation, write) {
+    await db.runTransaction(async transaction => {
+      const [headDoc, leaseDoc] = await transaction.getAll(headRef, leaseRef);
+      const headGeneration = headDoc.exists ? headDoc.data().generation : 0;
+      if (headGeneration !== generation) {
+        throw new Error(`court data moved to generation ${headGeneration} while writing generation ${generation + 1}`);
+      }
+      if (holdsLease && (!leaseDoc.exists || leaseDoc.data().owner !== owner)) {
+        throw new Error('the run lease was lost to another run');
+      }
+      write(transaction);
+    });
+  }
+
+  return {
+    name: 'firestore',
+
+    // Function to load previous data from Firebase as of the committed generation
+    async loadPreviousData() {
+      try {
+        console.log('📂 Loading previous court data from Firebase...');
+        loaded = await readGeneration();
+
+        if (!loaded.exists) {
+          const legacy = await readLegacyChunks();
+          if (legacy) {
+            loaded.legacyRefs = legacy.chunkRefs;
+            return legacy.data;
+          }
+          console.log('📂 No previous data found in Firebase');
+          console.log('🔍 This is the first run');
+          return null;
+        }
+
+        const data = [];
+        new Set([...loaded.base.keys(), ...loaded.slots.keys()]).forEach(id => {
+          const record = visibleVersion(id)?.record;
+          if (record) {
+            data.push(record);
+          }
+        });
+        console.log(`📊 Loaded ${data.length} previous court records (generation ${loaded.generation}, ${loaded.slots.size} slots since base ${loaded.baseGeneration}) from Firebase`);
+        return data;
+
+      } catch (error) {
+        console.error('❌ Error loading previous data from Firebase:', error);
+        console.log('🔍 Will treat this as first run');
+        loaded = null;
+        return null;
+      }
+    },
+
+    // Function to save current data to Firebase, writing only the slots that changed
+    async saveCurrentData(data) {
+      try {
+        if (!loaded) {
+          loaded = await readGeneration();
+        }
+        const { generation, baseGeneration, base, slots } = loaded;
+        const next = generation + 1;
+
+        const current = new Map(data.map(court => [slotDocId(court), court]));
+        const updates = new Map();
+        const deletes = [];
+
+        current.forEach((record, id) => {
+          const slot = slots.get(id);
+          // Versions newer than the head were left behind by a run that never committed
+          if ((slot && slot.current.generation > generation) || !sameRecord(visibleVersion(id)?.record, record)) {
+            updates.set(id, record);
+          }
+        });
+        new Set([...base.keys(), ...slots.keys()]).forEach(id => {
+          if (current.has(id)) {
+            return;
+          }
+          const slot = slots.get(id);
+          if (visibleVersion(id)?.record || slot?.current.generation > generation) {
+            updates.set(id, null);
+          } else if (slot.current.generation < generation && !base.has(id)) {
+            // Removed before the head generation, and not in the base: no reader can still need it
+            deletes.push(id);
+          }
+        });
+
+        const writes = [
+          ...[...updates].map(([id, record]) => {
+            const doc = { current: { generation: next, record }, previous: visibleVersion(id) };
+            return transaction => {
+              transaction.set(slotsCollection.doc(id), doc);
+              slots.set(id, doc);
+            };
+          }),
+          ...deletes.map(id => transaction => {
+            transaction.delete(slotsCollection.doc(id));
+            slots.delete(id);
+          }),
+          ...(loaded.legacyRefs || []).map(ref => transaction => transaction.delete(ref))
+        ];
+
+        console.log(`💾 Writing generation ${next}: ${updates.size} changed slots, ${deletes.length} expired slots`);
+        for (let i = 0; i < writes.length; i += WRITES_PER_TRANSACTION) {
+          const chunk = writes.slice(i, i + WRITES_PER_TRANSACTION);
+          await fencedWrite(generation, transaction => chunk.forEach(write => write(transaction)));
+        }
+
+        // Store a new base once readers would have to read too many slot documents on top of the old one
+        const changedSinceBase = [...slots.values()].filter(slot => slot.current.generation > baseGeneration).length;
+        const rebase = !loaded.baseChunks || changedSinceBase > BASE_REBUILD_SLOTS;
+        const baseChunks = rebase ? encodeBase(data) : null;
+        if (rebase) {
+          for (const [index, chunk] of baseChunks.entries()) {
+            await fencedWrite(generation, transaction => transaction.set(dataCollection.doc(baseDocId(next, index)), { generation: next, index, data: chunk }));
+          }
+          console.log(`🗜️ Stored base generation ${next} (${baseChunks.length} documents)`);
+        }
+
+        // Readers switch to the new generation only once every slot of it is written
+        await fencedWrite(generation, transaction => transaction.set(headRef, {
+          generation: next,
+          baseGeneration: rebase ? next : baseGeneration,
+          baseChunks: rebase ? baseChunks.length : loaded.baseChunks,
+          committedAt: admin.firestore.FieldValue.serverTimestamp(),
+          totalRecords: data.length,
+          changedSlots: updates.size
+        }));
+
+        if (rebase) {
+          // The old base, and slots removed from the feed, are only needed by readers still on
+          // an older head, and those retry
+          const obsolete = [
+            ...Array.from({ length: loaded.baseChunks }, (_, i) => dataCollection.doc(baseDocId(baseGeneration, i))),
+            ...[...slots].filter(([, slot]) => !slot.current.record).map(([id]) => slotsCollection.doc(id))
+          ];
+          for (let i = 0; i < obsolete.length; i += WRITES_PER_TRANSACTION) {
+            const batch = db.batch();
+            obsolete.slice(i, i + WRITES_PER_TRANSACTION).forEach(ref => batch.delete(ref));
+            await batch.commit();
+          }
+          loaded = { generation: next, baseGeneration: next, baseChunks: baseChunks.length, base: current, slots: new Map(), exists: true };
+        } else {
+          loaded = { ...loaded, generation: next, slots, exists: true, legacyRefs: undefined };
+        }
+        console.log(`✅ Committed generation ${next} to Firebase`);
+
+      } catch (error) {
+        // Rethrown so the cycle fails: its validators and alerts must not outlive an unsaved baseline
+        console.error('❌ Error saving current data to Firebase:', error.message);
+        loaded = null;
+        throw error;
+      }
+    },
+
+    // Function to take the run lease so overlapping runs cannot race on the same data
+    // Returns false while another run holds an unexpired lease
+    async acquireLease() {
+      const acquired = await db.runTransaction(async transaction => {
+        const leaseDoc = await transaction.get(leaseRef);
+        if (leaseDoc.exists) {
+          const lease = leaseDoc.data();
+          if (lease.owner !== owner && lease.expiresAt.toMillis() > Date.now()) {
+            console.log(`🔒 Run lease held by ${lease.owner} until ${lease.expiresAt.toDate().toISOString()}`);
+            return false;
+          }
+        }
+        transaction.set(leaseRef, {
+          owner,
+          acquiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + RUN_LEASE_SECONDS * 1000)
+        });
+        return true;
+      });
+      holdsLease = acquired;
+      return acquired;
+    },
+
+    // Function to give up the run lease (only if this run still holds it)
+    async releaseLease() {
+      if (!holdsLease) {
+        return;
+      }
+      holdsLease = false;
+      try {
+        await db.runTransaction(async transaction => {
+          const leaseDoc = await transaction.get(leaseRef);
+          if (leaseDoc.exists && leaseDoc.data().owner === owner) {
+            transaction.delete(leaseRef);
+          }
+        });
+      } catch (error) {
+        console.error('❌ Error releasing the run lease:', error);
+      }
+    },
+
+    // Function to load the validators of the last fetch from Firebase
+    async loadFetchMeta() {
+      try {
+        const metaDoc = await dataCollection.doc(FETCH_META_DOC_ID).get();
+        return metaDoc.exists ? metaDoc.data() : null;
+      } catch (error) {
+        console.error('❌ Error loading fetch metadata from Firebase:', error);
+        return null;
+      }
+    },
+
+    // Function to save the validators of the last fetch to Firebase
+    async saveFetchMeta(meta) {
+      try {
+        await dataCollection.doc(FETCH_META_DOC_ID).set(meta);
+      } catch (error) {
+        console.error('❌ Error saving fetch metadata to Firebase:', error);
+      }
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { createMemoryStorage } from './memory.js';
+import { createFileStorage } from './file.js';
+import { DEFAULT_FACILITY, enabledFacilities, facilityNamespace } from '../facilities.js';
+import { config } from '../config.js';
+
+// Storage backends implement:
+//   loadPreviousData() -> Promise<Array|null>
+//   saveCurrentData(data) -> Promise<void>, rejecting when the data could not be saved
+//   loadFetchMeta() -> Promise<{ etag, lastModified }|null>
+//   saveFetchMeta({ etag, lastModified }) -> Promise<void>
+// and optionally a run lease held for the duration of a monitor cycle:
+//   acquireLease() -> Promise<boolean>
+//   releaseLease() -> Promise<void>
+// Each facility type (see lib/facilities.js) gets its own namespaced backend; badminton uses
+// the original file and collection names.
+export const STORAGE_BACKENDS = ['memory', 'file', 'firestore'];
+
+// Function to create the storage backend named by config (storage.backend / STORAGE_BACKEND overrides the default)
+export async function createStorage(defaultBackend = 'file', facility = DEFAULT_FACILITY) {
+  const backend = config.storage.backend || defaultBackend;
+  const namespace = facilityNamespace(facility);
+  console.log(`🗄️ Using ${backend} storage backend${namespace ? ` for ${facility}` : ''}`);
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage(config.storage.dataFile, { namespace });
+    case 'firestore': {
+      // Loaded lazily so file and memory storage work without firebase-admin installed
+      const { getFirestore } = await import('../firebase.js');
+      const { createFirestoreStorage } = await import('./firestore.js');
+      return createFirestoreStorage(getFirestore(), { namespace });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected one of ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+// Function to create one storage backend per enabled facility type
+// Returns Map(facility id -> storage), in FACILITIES order
+export async function createFacilityStorages(defaultBackend = 'file') {
+  const storages = new Map();
+  for (const facility of enabledFacilities()) {
+    storages.set(facility, await createStorage(defaultBackend, facility));
+  }
+  return storages;
+}
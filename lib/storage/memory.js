@@ -0,0 +1,31 @@
+// In-memory storage: previous data only survives as long as the process
+
+export function createMemoryStorage() {
+  let previousData = null;
+  let fetchMeta = null;
+
+  return {
+    name: 'memory',
+
+    async loadPreviousData() {
+      if (!previousData) {
+        console.log('📂 No previous data in memory');
+        console.log('🔍 This is the first run');
+      }
+      return previousData;
+    },
+
+    async saveCurrentData(data) {
+      previousData = data;
+      console.log('Current data kept in memory for next comparison');
+    },
+
+    async loadFetchMeta() {
+      return fetchMeta;
+    },
+
+    async saveFetchMeta(meta) {
+      fetchMeta = meta;
+    }
+  };
+}
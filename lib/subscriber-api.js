@@ -0,0 +1,166 @@
+import { sendJson } from './api-server.js';
+import { validateSubscriberProfile, isExpoPushToken } from './subscriber-schema.js';
+import {
+  registerDevice,
+  findSubscriberByAccessToken,
+  updateSubscriberProfile,
+  rotatePushToken,
+  removeSubscription,
+  PushTokenInUseError,
+  SUBSCRIPTIONS_COLLECTION
+} from './subscriptions.js';
+import { calendarFeedUrl } from './ical.js';
+
+// Subscriber API for the Expo app, mounted on the HTTP API server (see lib/api-server.js)
+//
+//   POST   /subscribers                  { pushToken, ...profile } -> 201 { id, accessToken, subscriber }
+//                                         (409 when another subscriber holds pushToken; with an access
+//                                         token it re-registers that subscriber instead -> 200)
+//   GET    /subscribers/me               -> { subscriber }
+//   PATCH  /subscribers/me               { ...profile } -> { subscriber }
+//   PUT    /subscribers/me/push-token    { pushToken } -> { subscriber } (409 when another subscriber holds it)
+//   DELETE /subscribers/me               -> 204 (unsubscribe: deletes the profile and its alert state)
+//
+// Registration returns an access token once; every other call sends it as
+// "Authorization: Bearer <accessToken>". Profile fields are validated by lib/subscriber-schema.js.
+// Subscribers live in the Firestore `subscriptions` collection next to `court_data`.
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class RequestError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Function to read and parse a JSON request body
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new RequestError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) {
+    return {};
+  }
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new RequestError(400, 'Request body is not valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RequestError(400, 'Request body should be a JSON object');
+  }
+  return body;
+}
+
+// Function to validate profile fields, throwing a 400 listing every problem
+function checkProfile(profile) {
+  const errors = validateSubscriberProfile(profile);
+  if (errors.length > 0) {
+    throw new RequestError(400, 'Invalid subscriber profile', errors);
+  }
+  return profile;
+}
+
+function checkPushToken(pushToken) {
+  if (!isExpoPushToken(pushToken)) {
+    throw new RequestError(400, 'pushToken should be an Expo push token (ExponentPushToken[...])');
+  }
+  return pushToken;
+}
+
+// Function to find the subscriber of the request's bearer token
+async function authenticate(db, req) {
+  const [scheme, accessToken] = String(req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !accessToken) {
+    throw new RequestError(401, 'Missing access token');
+  }
+  const subscriber = await findSubscriberByAccessToken(db, accessToken);
+  if (!subscriber) {
+    throw new RequestError(401, 'Unknown access token');
+  }
+  return subscriber;
+}
+
+// Function to describe a subscriber to the app (credentials left out)
+function publicProfile({ accessTokenHash, calendarToken, channels, pushTokens, ...subscriber }) {
+  return {
+    ...subscriber,
+    calendarUrl: calendarToken ? calendarFeedUrl(calendarToken) : null
+  };
+}
+
+async function reload(db, id) {
+  const doc = await db.collection(SUBSCRIPTIONS_COLLECTION).doc(id).get();
+  return publicProfile({ id: doc.id, ...doc.data() });
+}
+
+// Function to route one subscriber API request
+async function route(db, req, res, url) {
+  if (url.pathname === '/subscribers' && req.method === 'POST') {
+    const { pushToken, ...profile } = await readJsonBody(req);
+    checkPushToken(pushToken);
+    // Re-registering a device needs the access token of the subscriber holding its push token
+    const owner = req.headers.authorization ? await authenticate(db, req) : null;
+    const { id, accessToken, created } = await registerDevice(db, pushToken, checkProfile(profile), { ownerId: owner?.id });
+    console.log(`📲 ${created ? 'Registered' : 'Re-registered'} device subscriber ${id}`);
+    return sendJson(res, created ? 201 : 200, { id, accessToken, subscriber: await reload(db, id) });
+  }
+
+  if (url.pathname === '/subscribers/me') {
+    const subscriber = await authenticate(db, req);
+    switch (req.method) {
+      case 'GET':
+        return sendJson(res, 200, { subscriber: publicProfile(subscriber) });
+      case 'PATCH':
+        await updateSubscriberProfile(db, subscriber.id, checkProfile(await readJsonBody(req)));
+        return sendJson(res, 200, { subscriber: await reload(db, subscriber.id) });
+      case 'DELETE':
+        await removeSubscription(db, subscriber.id);
+        console.log(`📲 Subscriber ${subscriber.id} unsubscribed`);
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+        return res.end();
+      default:
+        throw new RequestError(405, 'Method not allowed');
+    }
+  }
+
+  if (url.pathname === '/subscribers/me/push-token') {
+    if (req.method !== 'PUT') {
+      throw new RequestError(405, 'Method not allowed');
+    }
+    const subscriber = await authenticate(db, req);
+    const { pushToken } = await readJsonBody(req);
+    await rotatePushToken(db, subscriber.id, checkPushToken(pushToken));
+    console.log(`📲 Rotated the push token of subscriber ${subscriber.id}`);
+    return sendJson(res, 200, { subscriber: await reload(db, subscriber.id) });
+  }
+
+  throw new RequestError(404, `Not found: ${url.pathname}`);
+}
+
+// Function to create the subscriber API handler for createApiHandler's subscriberApi option
+export function createSubscriberApi(db) {
+  return async (req, res, url) => {
+    try {
+      await route(db, req, res, url);
+    } catch (error) {
+      if (error instanceof RequestError) {
+        return sendJson(res, error.status, { error: error.message, ...(error.details && { details: error.details }) });
+      }
+      if (error instanceof PushTokenInUseError) {
+        return sendJson(res, 409, { error: error.message });
+      }
+      console.error('❌ Error in subscriber API:', error.message);
+      return sendJson(res, 500, { error: 'Internal error' });
+    }
+  };
+}
@@ -0,0 +1,113 @@
+import { CHANGE_TYPES } from './court-data.js';
+import { FACILITY_TYPES } from './facilities.js';
+import { NOTIFIERS } from './notifiers/index.js';
+
+// Explicit schema for subscriber profiles written through the subscriber API (lib/subscriber-api.js)
+//
+// Only preference fields can be written this way: delivery channels other than the device's own
+// Expo push token are managed by the operator (court-monitor watch), so the API cannot be used
+// to point notifications at arbitrary URLs.
+
+const EXPO_PUSH_TOKEN_PATTERN = /^(Exponent|Expo)PushToken\[[^\]]+\]$/;
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+const DAY_PATTERN = /^(sun|mon|tue|wed|thu|fri|sat)/i;
+const MAX_RULES = 20;
+const MAX_LIST_LENGTH = 50;
+
+const isString = (value, maxLength = 200) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+const isNumberBetween = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isList = (value, check) => Array.isArray(value) && value.length <= MAX_LIST_LENGTH && value.every(check);
+
+const RULE_SCHEMA = {
+  facilities: { check: value => isList(value, id => Object.hasOwn(FACILITY_TYPES, id)), expected: `a list of ${Object.keys(FACILITY_TYPES).join(' / ')}` },
+  venues: { check: value => isList(value, venue => isString(venue)), expected: 'a list of venue names' },
+  districts: { check: value => isList(value, district => isString(district)), expected: 'a list of district names' },
+  weekdays: {
+    check: value => isList(value, day => (Number.isInteger(day) && day >= 0 && day <= 6) || (typeof day === 'string' && DAY_PATTERN.test(day))),
+    expected: 'a list of weekdays (Sun..Sat or 0-6)'
+  },
+  startTime: {
+    check: value => value && typeof value === 'object' && !Array.isArray(value)
+      && Object.keys(value).every(key => ['from', 'to'].includes(key))
+      && Object.values(value).every(time => typeof time === 'string' && TIME_PATTERN.test(time)),
+    expected: '{ from, to } with HH:MM times'
+  },
+  minCourts: { check: value => Number.isInteger(value) && value >= 1 && value <= 50, expected: 'an integer from 1 to 50' },
+  changeTypes: { check: value => isList(value, type => CHANGE_TYPES.includes(type)), expected: `a list of ${CHANGE_TYPES.join(' / ')}` },
+  blockHours: { check: value => isNumberBetween(value, 0.5, 12), expected: 'a number of hours from 0.5 to 12' },
+  near: {
+    check: value => value && typeof value === 'object' && !Array.isArray(value)
+      && isNumberBetween(value.lat, -90, 90)
+      && isNumberBetween(value.lng, -180, 180)
+      && (value.radiusKm === undefined || isNumberBetween(value.radiusKm, 0.1, 100))
+      && (value.late === undefined || ['flag', 'suppress'].includes(value.late))
+      && Object.keys(value).every(key => ['lat', 'lng', 'radiusKm', 'late'].includes(key)),
+    expected: '{ lat, lng, radiusKm, late: "flag" | "suppress" }'
+  },
+  digest: { check: value => typeof value === 'boolean', expected: 'true or false' }
+};
+
+export const SUBSCRIBER_PROFILE_SCHEMA = {
+  name: { check: value => isString(value, 100), expected: 'a non-empty string of at most 100 characters' },
+  language: { check: value => ['en', 'zh-HK'].includes(value), expected: '"en" or "zh-HK"' },
+  rules: {
+    check: value => Array.isArray(value) && value.length <= MAX_RULES && value.every(rule => rule && typeof rule === 'object' && !Array.isArray(rule)),
+    expected: `a list of at most ${MAX_RULES} rule objects`
+  },
+  followUps: { check: value => typeof value === 'boolean', expected: 'true or false' },
+  cooldownMinutes: { check: value => isNumberBetween(value, 0, 24 * 60), expected: 'a number of minutes from 0 to 1440' },
+  digestInterval: { check: value => ['hourly', 'daily'].includes(value), expected: '"hourly" or "daily"' },
+  quietHours: {
+    check: value => value && typeof value === 'object' && !Array.isArray(value)
+      && Object.keys(value).length === 2
+      && ['from', 'to'].every(key => typeof value[key] === 'string' && TIME_PATTERN.test(value[key])),
+    expected: '{ from, to } with HH:MM times (Hong Kong time)'
+  },
+  urgency: {
+    check: value => value && typeof value === 'object' && !Array.isArray(value)
+      && (value.urgentHours === undefined || isNumberBetween(value.urgentHours, 0, 24))
+      && (value.distantHours === undefined || isNumberBetween(value.distantHours, 1, 24 * 14))
+      && (value.distantChannels === undefined || isList(value.distantChannels, type => Object.hasOwn(NOTIFIERS, type)))
+      && Object.keys(value).every(key => ['urgentHours', 'distantHours', 'distantChannels'].includes(key)),
+    expected: '{ urgentHours: 0-24, distantHours: 1-336, distantChannels: [channel types] }'
+  },
+  enabled: { check: value => typeof value === 'boolean', expected: 'true or false' },
+  device: {
+    check: value => value && typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every(field => isString(field, 100)),
+    expected: 'an object of short strings (e.g. { platform, model, osVersion })'
+  }
+};
+
+// Function to check an Expo push token
+export function isExpoPushToken(value) {
+  return typeof value === 'string' && value.length <= 200 && EXPO_PUSH_TOKEN_PATTERN.test(value);
+}
+
+// Function to list the schema violations of one object against a schema (empty when valid)
+function validateFields(value, schema, prefix = '') {
+  const errors = [];
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    const rule = schema[field];
+    if (!rule) {
+      errors.push(`${prefix}${field} is not a known field`);
+    } else if (!rule.check(fieldValue)) {
+      errors.push(`${prefix}${field} should be ${rule.expected}`);
+    }
+  });
+  return errors;
+}
+
+// Function to list the schema violations of a profile update (empty when valid)
+// Every field is optional; unknown fields are rejected rather than stored
+export function validateSubscriberProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile is not an object'];
+  }
+
+  const errors = validateFields(profile, SUBSCRIBER_PROFILE_SCHEMA);
+  if (Array.isArray(profile.rules) && !errors.some(error => error.startsWith('rules '))) {
+    profile.rules.forEach((rule, index) => errors.push(...validateFields(rule, RULE_SCHEMA, `rules[${index}].`)));
+  }
+  return errors;
+}
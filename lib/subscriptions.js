@@ -0,0 +1,680 @@
+// Watch subscriptions: each subscriber owns a push token and a list of watch rules.
+//
+// Subscriber document (Firestore `subscriptions` collection):
+// {
+//   name: 'Alice',
+//   pushToken: 'ExponentPushToken[...]',         // shorthand for an Expo channel
+//   channels: [                                   // extra delivery channels (see lib/notifiers)
+//     { type: 'telegram', chatId: '-100123456789' },
+//     { type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/...' },
+//     { type: 'slack', webhookUrl: 'https://hooks.slack.com/services/...' },
+//     { type: 'email', to: 'alice@example.com' },
+//     { type: 'webhook', url: 'https://example.com/hook', secret: '...' }
+//   ],
+//   enabled: true,
+//   rules: [
+//     {
+//       facilities: ['badminton', 'tennis'],      // facility types (see lib/facilities.js), default badminton
+//       venues: ['Kowloon Park Sports Centre'],   // Venue_Name_EN (or Venue_Name_TC) values
+//       districts: ['Yau Tsim Mong'],             // District_Name_EN (or District_Name_TC) values
+//       weekdays: ['Mon', 'Tue', 'Wed'],          // Sun..Sat (or 0-6)
+//       startTime: { from: '18:00', to: '21:00' }, // Session_Start_Time range, inclusive
+//       minCourts: 2,                             // minimum Available_Courts
+//       changeTypes: ['new_availability', 'sold_out'], // defaults to courts becoming available
+//       blockHours: 2,                            // alert on back-to-back sessions lasting this long instead
+//       near: { lat: 22.30, lng: 114.17, radiusKm: 5, late: 'flag' } // venues within the radius;
+//                                                 // late: 'flag' (default) or 'suppress' sessions too soon to reach
+//       digest: true                              // send matches in the periodic digest instead of instantly
+//     }
+//   ],
+//   language: 'zh-HK',                            // 'en' (default) or 'zh-HK'
+//   followUps: true,                              // send a "now gone" message for alerted slots
+//   cooldownMinutes: 30,                          // no repeat alert for a slot inside this window
+//   digestInterval: 'hourly',                     // 'hourly' (default) or 'daily'
+//   quietHours: { from: '23:00', to: '07:00' },   // hold alerts in this Hong Kong time window
+//   urgency: { urgentHours: 3, distantHours: 72, distantChannels: ['email'] }, // see lib/quiet-hours.js
+//   calendarToken: '<random hex>',                // secret of the subscriber's calendar feed URL
+//   accessTokenHash: '<sha256 hex>',              // subscriber API credential of app-registered devices
+//   device: { platform: 'ios', model: 'iPhone 15' }, // reported by the app (see lib/subscriber-api.js)
+//   createdAt, updatedAt, pushTokenUpdatedAt      // ISO times, set for app-registered devices
+//   pushTokens: ['ExponentPushToken[...]']        // every Expo token above, kept in step by the
+//                                                 // functions below so tokens can be looked up
+// }
+//
+// Every field of a rule is optional; a missing field does not restrict the match,
+// except changeTypes which defaults to courts becoming available, and facilities which
+// defaults to badminton so rules written before other facility types existed keep their meaning.
+// A rule with blockHours only matches blocks of back-to-back sessions (see lib/session-blocks.js),
+// with minCourts applying to every session of the block.
+// Matches of near rules are sorted by distance (see lib/venues.js for venue coordinates);
+// venues without coordinates never match them and are reported once per process.
+// Alerts matched during quiet hours are held until the window ends, unless the session starts
+// within urgentHours; matches for sessions more than distantHours away go to the digest, or to
+// distantChannels when set.
+// A subscriber without rules receives every availability change.
+
+import crypto from 'crypto';
+import { formatNotificationContent, slotKey, describeSlot, AVAILABILITY_CHANGE_TYPES, GONE_CHANGE_TYPES, BLOCK_CHANGE_TYPE } from './court-data.js';
+import { detectBlockChanges, findSessionBlocks, buildBlockChange } from './session-blocks.js';
+import { toMinutes, sessionStart } from './hk-time.js';
+import { buildVenueRegistry, locateChange, distanceKm, travelMinutes } from './venues.js';
+import { DEFAULT_FACILITY, facilityOf } from './facilities.js';
+import { subscriberChannels } from './notifiers/index.js';
+import {
+  ALERT_STATE_COLLECTION,
+  ALERT_COOLDOWN_MINUTES,
+  emptyAlertState,
+  inCooldown,
+  markAlerted,
+  markFollowedUp,
+  queueForDigest,
+  takeDueDigest,
+  holdAlerts,
+  takeReleasedAlerts,
+  pruneAlertState
+} from './alert-state.js';
+import { classifyUrgency, quietHoursEnd } from './quiet-hours.js';
+import { config } from './config.js';
+
+export const SUBSCRIPTIONS_COLLECTION = 'subscriptions';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Function to get the weekday index (0 = Sun) of a YYYY-MM-DD date, independent of server timezone
+function weekdayOf(dateString) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date.getUTCDay();
+}
+
+// Function to normalise a weekday rule entry ('Mon', 'monday', 1) into an index
+function weekdayIndex(day) {
+  if (typeof day === 'number') {
+    return day;
+  }
+  const prefix = String(day).trim().slice(0, 3).toLowerCase();
+  return DAY_NAMES.findIndex(name => name.toLowerCase() === prefix);
+}
+
+function normalise(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// Function to check whether a single change satisfies a watch rule
+export function matchesRule(change, rule) {
+  if (rule.blockHours) {
+    if (change.type !== BLOCK_CHANGE_TYPE || change.hours < rule.blockHours) {
+      return false;
+    }
+  } else if (change.type === BLOCK_CHANGE_TYPE) {
+    return false;
+  } else if (rule.changeTypes?.length) {
+    if (!rule.changeTypes.includes(change.type)) {
+      return false;
+    }
+  } else if (!AVAILABILITY_CHANGE_TYPES.includes(change.type) || change.currentCount === 0) {
+    return false;
+  }
+
+  const facilities = (rule.facilities?.length ? rule.facilities : [DEFAULT_FACILITY]).map(facility => normalise(facility).replace(/-/g, '_'));
+  if (!facilities.includes(facilityOf(change))) {
+    return false;
+  }
+
+  if (rule.venues?.length) {
+    const venues = rule.venues.map(normalise);
+    if (!venues.includes(normalise(change.venue)) && !venues.includes(normalise(change.venueTC))) {
+      return false;
+    }
+  }
+
+  if (rule.districts?.length) {
+    const districts = rule.districts.map(normalise);
+    if (!districts.includes(normalise(change.district)) && !districts.includes(normalise(change.districtTC))) {
+      return false;
+    }
+  }
+
+  if (rule.weekdays?.length) {
+    const weekdays = rule.weekdays.map(weekdayIndex);
+    if (!weekdays.includes(weekdayOf(change.date))) {
+      return false;
+    }
+  }
+
+  if (rule.startTime) {
+    const start = toMinutes(change.startTime);
+    const from = rule.startTime.from ? toMinutes(rule.startTime.from) : 0;
+    const to = rule.startTime.to ? toMinutes(rule.startTime.to) : 24 * 60;
+    if (start === null || start < from || start > to) {
+      return false;
+    }
+  }
+
+  if (rule.minCourts && change.currentCount < rule.minCourts) {
+    return false;
+  }
+
+  if (rule.near) {
+    const radius = rule.near.radiusKm ?? 5;
+    if (!change.location || distanceKm(rule.near, change.location) > radius) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Function to filter changes down to those matching any of a subscriber's rules
+// blockChanges(rule) supplies the completed blocks for rules with blockHours
+export function matchChangesForSubscriber(changes, subscriber, blockChanges = () => []) {
+  const rules = subscriber.rules?.length ? subscriber.rules : [{}];
+  const matched = changes.filter(change => rules.some(rule => matchesRule(change, rule)));
+
+  const blocks = new Map();
+  rules.filter(rule => rule.blockHours).forEach(rule => {
+    blockChanges(rule)
+      .filter(change => matchesRule(change, rule))
+      .forEach(change => blocks.set(change.slotKey, change));
+  });
+  return [...matched, ...blocks.values()];
+}
+
+// Function to annotate a matched change with the distance from the nearest matching near rule
+// and whether the session starts before the subscriber could get there
+function withDistance(change, subscriber, now) {
+  const distances = (subscriber.rules || [])
+    .filter(rule => rule.near && matchesRule(change, rule))
+    .map(rule => ({ rule, km: distanceKm(rule.near, change.location) }))
+    .sort((a, b) => a.km - b.km);
+  if (distances.length === 0) {
+    return change;
+  }
+
+  const { rule, km } = distances[0];
+  const minutesLeft = (sessionStart(change.date, change.startTime) - now) / 60000;
+  return {
+    ...change,
+    distanceKm: Math.round(km * 10) / 10,
+    tooLate: minutesLeft < travelMinutes(km),
+    lateAction: rule.near.late || 'flag'
+  };
+}
+
+// Function to list the open slots (and blocks) of a snapshot matching a subscriber's rules
+// Used for the subscriber's calendar feed; changeTypes do not apply to open slots.
+export function openSlotsForSubscriber(currentData, subscriber) {
+  const registry = buildVenueRegistry(currentData);
+  const rules = (subscriber.rules?.length ? subscriber.rules : [{}]).map(({ changeTypes, ...rule }) => rule);
+
+  const slots = currentData
+    .filter(court => parseInt(court.Available_Courts || 0) > 0)
+    .map(court => locateChange(describeSlot(court), registry))
+    .filter(slot => rules.some(rule => !rule.blockHours && matchesRule(slot, rule)));
+
+  const blocks = new Map();
+  rules.filter(rule => rule.blockHours).forEach(rule => {
+    findSessionBlocks(currentData, { hours: rule.blockHours, minCourts: rule.minCourts || 1 })
+      .map(run => locateChange(buildBlockChange(run), registry))
+      .filter(block => matchesRule(block, rule))
+      .forEach(block => blocks.set(block.slotKey, block));
+  });
+
+  return [...slots, ...blocks.values()];
+}
+
+// Function to check whether a matched change only satisfies digest rules
+// A change is urgent as soon as one non-digest rule matches it
+export function isDigestOnly(change, subscriber) {
+  const rules = subscriber.rules || [];
+  const matching = rules.filter(rule => matchesRule(change, rule));
+  return matching.length > 0 && matching.every(rule => rule.digest);
+}
+
+// Function to find "now gone" follow-ups for slots a subscriber was alerted about
+// Each alerted slot gets at most one follow-up, and only while its session has not started
+export function matchFollowUpsForSubscriber(changes, subscriber, subscriberState, now = new Date()) {
+  if (!subscriber.followUps) {
+    return [];
+  }
+  return changes.filter(change => {
+    const alerted = subscriberState.alertedSlots[change.slotKey];
+    return GONE_CHANGE_TYPES.includes(change.type) &&
+      alerted && !alerted.followedUpAt &&
+      sessionStart(change.date, change.startTime) > now;
+  });
+}
+
+// Function to list the channels a subscriber wants distant matches on
+// Returns null when distant matches go to the digest (no distantChannels, or none of them set up)
+function distantChannels(subscriber) {
+  const types = subscriber.urgency?.distantChannels || [];
+  const channels = subscriberChannels(subscriber).filter(channel => types.includes(channel.type));
+  return channels.length > 0 ? channels : null;
+}
+
+function buildNotification(subscriber, kind, changes, { channels = subscriberChannels(subscriber), priority = 'normal', ...options } = {}) {
+  const content = formatNotificationContent(changes, subscriber.language, options);
+  if (!content) {
+    return null;
+  }
+  console.log(`👤 ${subscriber.name || subscriber.id}: ${changes.length} matching changes (${kind}, ${priority} priority)`);
+  return {
+    subscriberId: subscriber.id,
+    kind,
+    priority,
+    channels,
+    title: content.title,
+    body: content.body,
+    changes
+  };
+}
+
+// Venues already reported as missing coordinates
+const reportedUnlocated = new Set();
+
+// Function to report venues that a near rule would otherwise match but that have no coordinates
+// Returns the venues reported for the first time
+export function reportUnlocatedVenues(changes, subscribers) {
+  const nearRules = subscribers.flatMap(subscriber => (subscriber.rules || []).filter(rule => rule.near));
+  const venues = [...new Set(changes
+    .filter(change => !change.location && !reportedUnlocated.has(change.venue))
+    .filter(change => nearRules.some(({ near, ...rule }) => matchesRule(change, rule)))
+    .map(change => change.venue))];
+  if (venues.length > 0) {
+    venues.forEach(venue => reportedUnlocated.add(venue));
+    console.log(`⚠️ No coordinates for ${venues.join(', ')}: radius rules cannot match ${venues.length === 1 ? 'it' : 'them'} until ${venues.length === 1 ? 'it is' : 'they are'} added to VENUE_COORDINATES_FILE`);
+  }
+  return venues;
+}
+
+// Function to build the notifications for every subscriber from the changes matching their rules
+// Each subscriber gets at most one alert, one low-priority alert, one follow-up and one digest
+// notification per cycle. During quiet hours only urgent alerts and follow-ups are sent; other
+// alerts, low-priority alerts and follow-ups are held for the end of the window, and due digests wait for it.
+// Repeat alerts for a slot inside the cooldown are suppressed, and the alert state in
+// alertState (see lib/alert-state.js) is updated in place for the caller to save.
+export function buildSubscriberNotifications(changes, subscribers, alertState, { currentData = null, previousData = null, now = new Date() } = {}) {
+  const notifications = [];
+  const registry = buildVenueRegistry(currentData || []);
+  const currentSlots = currentData
+    ? new Map(currentData.map(court => [slotKey(court), parseInt(court.Available_Courts || 0)]))
+    : null;
+
+  // Completed blocks only depend on the block length and court count, so share them between rules
+  const blockCache = new Map();
+  const blockChanges = rule => {
+    const options = { hours: rule.blockHours, minCourts: rule.minCourts || 1 };
+    const key = `${options.hours}|${options.minCourts}`;
+    if (!blockCache.has(key)) {
+      const blocks = currentData ? detectBlockChanges(currentData, previousData, options) : [];
+      blockCache.set(key, blocks.map(change => locateChange(change, registry)));
+    }
+    return blockCache.get(key);
+  };
+
+  const located = changes.map(change => locateChange(change, registry));
+  reportUnlocatedVenues(located, subscribers);
+
+  subscribers.forEach(subscriber => {
+    if (!alertState[subscriber.id]) {
+      alertState[subscriber.id] = emptyAlertState();
+    }
+    const subscriberState = alertState[subscriber.id];
+    pruneAlertState(subscriberState, now);
+
+    // Availability that flaps back within the cooldown is not alerted again
+    const cooldown = subscriber.cooldownMinutes ?? ALERT_COOLDOWN_MINUTES;
+    const matched = matchChangesForSubscriber(located, subscriber, blockChanges);
+    const notCooling = matched.filter(change => (
+      (!AVAILABILITY_CHANGE_TYPES.includes(change.type) && change.type !== BLOCK_CHANGE_TYPE) || !inCooldown(subscriberState, change, cooldown, now)
+    ));
+    if (notCooling.length < matched.length) {
+      console.log(`🔕 ${subscriber.name || subscriber.id}: suppressed ${matched.length - notCooling.length} repeat alerts inside the ${cooldown} minute cooldown`);
+    }
+
+    // Nearest venues first; sessions too soon to reach are flagged, or dropped when the rule says so
+    const fresh = notCooling
+      .map(change => withDistance(change, subscriber, now))
+      .filter(change => !(change.tooLate && change.lateAction === 'suppress'))
+      .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+    // Sessions starting soon are urgent; distant ones go to the digest or the distant channels
+    const level = change => classifyUrgency(change, subscriber, now);
+    const instant = fresh.filter(change => !isDigestOnly(change, subscriber));
+    const lowChannels = distantChannels(subscriber);
+    const distant = instant.filter(change => level(change) === 'distant');
+    const deferred = [
+      ...fresh.filter(change => isDigestOnly(change, subscriber)),
+      ...(lowChannels ? [] : distant)
+    ];
+    const lowPriority = lowChannels ? distant : [];
+    const followUps = matchFollowUpsForSubscriber(located, subscriber, subscriberState, now)
+      .filter(change => !matched.includes(change));
+
+    // Inside quiet hours only urgent alerts and follow-ups go out; the rest are held until the window ends
+    const quietUntil = quietHoursEnd(subscriber, now);
+    const due = instant.filter(change => level(change) !== 'distant');
+    let alerts = due;
+    let sentLowPriority = lowPriority;
+    let sentFollowUps = followUps;
+    if (quietUntil) {
+      alerts = due.filter(change => level(change) === 'urgent');
+      sentLowPriority = [];
+      sentFollowUps = followUps.filter(change => level(change) === 'urgent');
+      const held = [
+        [due.filter(change => !alerts.includes(change)), 'alert'],
+        [lowPriority, 'low_priority'],
+        [followUps.filter(change => !sentFollowUps.includes(change)), 'follow_up']
+      ];
+      held.forEach(([heldChanges, kind]) => holdAlerts(subscriberState, heldChanges, quietUntil, kind));
+      const count = held.reduce((sum, [heldChanges]) => sum + heldChanges.length, 0);
+      if (count > 0) {
+        console.log(`🌙 ${subscriber.name || subscriber.id}: holding ${count} alerts until ${quietUntil.toISOString()}`);
+      }
+    } else {
+      // Released changes come first so a fresh change for the same slot replaces its held one
+      const released = takeReleasedAlerts(subscriberState, currentSlots, now);
+      const merge = (heldChanges, freshChanges) => {
+        const bySlot = new Map(heldChanges.map(change => [change.slotKey, change]));
+        freshChanges.forEach(change => bySlot.set(change.slotKey, change));
+        return [...bySlot.values()].sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+      };
+      alerts = merge(released.alert, due);
+      // Distant channels removed meanwhile: the held low-priority alerts go to the digest
+      sentLowPriority = lowChannels ? merge(released.low_priority, lowPriority) : [];
+      deferred.push(...(lowChannels ? [] : released.low_priority));
+      sentFollowUps = subscriber.followUps ? merge(released.follow_up, followUps) : [];
+    }
+
+    const interval = subscriber.digestInterval || 'hourly';
+    queueForDigest(subscriberState, deferred, interval, now);
+    const digest = quietUntil ? [] : takeDueDigest(subscriberState, currentSlots, now);
+
+    const urgentAlert = alerts.some(change => level(change) === 'urgent');
+    [
+      buildNotification(subscriber, 'alert', alerts, { priority: urgentAlert ? 'high' : 'normal' }),
+      lowChannels && buildNotification(subscriber, 'alert', sentLowPriority, { channels: lowChannels, priority: 'low' }),
+      buildNotification(subscriber, 'follow_up', sentFollowUps),
+      buildNotification(subscriber, 'digest', digest, { digest: interval })
+    ].filter(Boolean).forEach(notification => notifications.push(notification));
+
+    markAlerted(subscriberState, alerts, now);
+    markAlerted(subscriberState, sentLowPriority, now);
+    markAlerted(subscriberState, digest, now);
+    markFollowedUp(subscriberState, sentFollowUps, now);
+  });
+
+  return notifications;
+}
+
+// Function to build the catch-all subscriber from the expo.pushToken, telegram.chatId,
+// discord.webhookUrl and slack.webhookUrl settings (EXPO_PUSH_TOKEN, TELEGRAM_CHAT_ID, ...)
+function defaultSubscriber() {
+  const channels = [];
+  if (config.telegram.chatId) {
+    channels.push({ type: 'telegram', chatId: config.telegram.chatId });
+  }
+  if (config.discord.webhookUrl) {
+    channels.push({ type: 'discord', webhookUrl: config.discord.webhookUrl });
+  }
+  if (config.slack.webhookUrl) {
+    channels.push({ type: 'slack', webhookUrl: config.slack.webhookUrl });
+  }
+  return { id: 'default', name: 'Default', pushToken: config.expo.pushToken, channels, rules: [] };
+}
+
+// Function to load enabled subscribers from Firestore
+// Falls back to a single catch-all subscriber from environment variables when none are stored
+export async function loadSubscriptions(db) {
+  const subscribers = [];
+
+  try {
+    console.log('👥 Loading subscriptions from Firebase...');
+    const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION).get();
+    const outdated = [];
+    snapshot.forEach(doc => {
+      const subscriber = { id: doc.id, ...doc.data() };
+      if (subscriber.enabled !== false && subscriberChannels(subscriber).length > 0) {
+        subscribers.push(subscriber);
+      }
+      const pushTokens = pushTokensOf(subscriber);
+      if (JSON.stringify(pushTokens) !== JSON.stringify(subscriber.pushTokens || [])) {
+        outdated.push({ ref: doc.ref, pushTokens });
+      }
+    });
+    console.log(`👥 Loaded ${subscribers.length} active subscriptions`);
+
+    // Subscriptions written before pushTokens existed, or edited by hand, get it filled in
+    if (outdated.length > 0) {
+      const batch = db.batch();
+      outdated.forEach(({ ref, pushTokens }) => batch.update(ref, { pushTokens }));
+      await batch.commit();
+      console.log(`👥 Updated the push token list of ${outdated.length} subscriptions`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading subscriptions from Firebase:', error);
+  }
+
+  if (subscribers.length === 0) {
+    const fallback = defaultSubscriber();
+    if (subscriberChannels(fallback).length > 0) {
+      console.log('👥 No subscriptions found - falling back to channels from environment variables');
+      subscribers.push(fallback);
+    }
+  }
+
+  return subscribers;
+}
+
+// Function to list every stored subscription, including disabled ones
+export async function listSubscriptions(db) {
+  const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION).get();
+  const subscribers = [];
+  snapshot.forEach(doc => subscribers.push({ id: doc.id, ...doc.data() }));
+  return subscribers;
+}
+
+// Function to generate the secret part of a calendar feed URL
+export function newCalendarToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Function to list a subscription's Expo push tokens: the top-level pushToken and Expo channels
+export function pushTokensOf({ pushToken, channels }) {
+  const tokens = (channels || []).filter(channel => channel.type === 'expo' && channel.pushToken).map(channel => channel.pushToken);
+  return [...new Set([pushToken, ...tokens].filter(Boolean))];
+}
+
+// Function to store a new subscription and return its id
+export async function addSubscription(db, subscriber) {
+  const ref = await db.collection(SUBSCRIPTIONS_COLLECTION).add({
+    enabled: true,
+    calendarToken: newCalendarToken(),
+    ...subscriber,
+    pushTokens: pushTokensOf(subscriber)
+  });
+  return ref.id;
+}
+
+// Function to get a subscription's calendar token, creating one if it has none
+// Returns null when no such subscription exists
+export async function ensureCalendarToken(db, id) {
+  const ref = db.collection(SUBSCRIPTIONS_COLLECTION).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return null;
+  }
+  if (doc.data().calendarToken) {
+    return doc.data().calendarToken;
+  }
+  const calendarToken = newCalendarToken();
+  await ref.update({ calendarToken });
+  return calendarToken;
+}
+
+// Function to find the subscription owning a calendar token
+export async function findSubscriberByCalendarToken(db, token) {
+  const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION).where('calendarToken', '==', token).limit(1).get();
+  if (snapshot.empty) {
+    return null;
+  }
+  const doc = snapshot.docs[0];
+  return { id: doc.id, ...doc.data() };
+}
+
+// Function to delete a subscription and its alert state; returns false when no such subscription exists
+export async function removeSubscription(db, id) {
+  const ref = db.collection(SUBSCRIPTIONS_COLLECTION).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await ref.delete();
+  await db.collection(ALERT_STATE_COLLECTION).doc(id).delete();
+  return true;
+}
+
+// Function to hash a subscriber API access token (only the hash is stored)
+function hashAccessToken(accessToken) {
+  return crypto.createHash('sha256').update(accessToken).digest('hex');
+}
+
+// Error thrown when a push token would be taken from a subscriber the caller has not proven to own
+export class PushTokenInUseError extends Error {
+  constructor(ownerId) {
+    super('pushToken is registered to another subscriber');
+    this.ownerId = ownerId;
+  }
+}
+
+// Function to find the subscriptions holding any of the push tokens, as the top-level pushToken
+// or as an Expo channel; returns Firestore document snapshots
+// Tokens are looked up in the pushTokens field. The pushToken query also finds subscriptions
+// saved before that field existed, until loadSubscriptions has filled it in.
+export async function findPushTokenOwners(db, tokens) {
+  const owners = new Map();
+  // Firestore 'in' and 'array-contains-any' queries accept at most 30 values
+  for (let i = 0; i < tokens.length; i += 30) {
+    const chunk = tokens.slice(i, i + 30);
+    const snapshots = await Promise.all([
+      db.collection(SUBSCRIPTIONS_COLLECTION).where('pushTokens', 'array-contains-any', chunk).get(),
+      db.collection(SUBSCRIPTIONS_COLLECTION).where('pushToken', 'in', chunk).get()
+    ]);
+    snapshots.forEach(snapshot => snapshot.forEach(doc => owners.set(doc.id, doc)));
+  }
+  return [...owners.values()];
+}
+
+// Function to check that a push token is unused, or only held by the given subscriptions
+async function checkPushTokenOwner(db, pushToken, ownerIds) {
+  const other = (await findPushTokenOwners(db, [pushToken])).find(doc => !ownerIds.includes(doc.id));
+  if (other) {
+    throw new PushTokenInUseError(other.id);
+  }
+}
+
+// Function to register an app install as a subscriber owning its Expo push token
+// A caller proving to own a subscriber (ownerId, from its access token) re-registers that
+// subscriber: its profile and push token are updated in place and it gets a new access token.
+// Otherwise a new subscriber is created, and a token held by another subscriber throws
+// PushTokenInUseError. Returns { id, accessToken, created }; the access token is only ever returned here
+export async function registerDevice(db, pushToken, profile = {}, { ownerId = null } = {}) {
+  await checkPushTokenOwner(db, pushToken, ownerId ? [ownerId] : []);
+  const accessToken = crypto.randomBytes(32).toString('hex');
+  const now = new Date().toISOString();
+
+  if (ownerId) {
+    const ref = db.collection(SUBSCRIPTIONS_COLLECTION).doc(ownerId);
+    const { channels } = (await ref.get()).data();
+    await ref.update({
+      ...profile,
+      pushToken,
+      pushTokens: pushTokensOf({ pushToken, channels }),
+      enabled: true,
+      accessTokenHash: hashAccessToken(accessToken),
+      updatedAt: now,
+      pushTokenUpdatedAt: now
+    });
+    return { id: ownerId, accessToken, created: false };
+  }
+
+  await removePushTokens(db, [pushToken]);
+  const id = await addSubscription(db, {
+    name: 'App user',
+    language: 'en',
+    rules: [],
+    followUps: false,
+    ...profile,
+    pushToken,
+    channels: [],
+    accessTokenHash: hashAccessToken(accessToken),
+    createdAt: now,
+    updatedAt: now,
+    pushTokenUpdatedAt: now
+  });
+  return { id, accessToken, created: true };
+}
+
+// Function to find the subscription owning a subscriber API access token
+export async function findSubscriberByAccessToken(db, accessToken) {
+  const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION)
+    .where('accessTokenHash', '==', hashAccessToken(accessToken))
+    .limit(1)
+    .get();
+  if (snapshot.empty) {
+    return null;
+  }
+  const doc = snapshot.docs[0];
+  return { id: doc.id, ...doc.data() };
+}
+
+// Function to update a subscription's preferences (validated by lib/subscriber-schema.js)
+export async function updateSubscriberProfile(db, id, profile) {
+  await db.collection(SUBSCRIPTIONS_COLLECTION).doc(id).update({ ...profile, updatedAt: new Date().toISOString() });
+}
+
+// Function to replace a subscription's Expo push token after the app got a new one
+// Throws PushTokenInUseError when another subscriber holds the new token. The subscription
+// is re-enabled in case the old token had been pruned as unregistered
+export async function rotatePushToken(db, id, pushToken) {
+  await checkPushTokenOwner(db, pushToken, [id]);
+  const now = new Date().toISOString();
+  const ref = db.collection(SUBSCRIPTIONS_COLLECTION).doc(id);
+  const { channels } = (await ref.get()).data();
+  await ref.update({
+    pushToken,
+    pushTokens: pushTokensOf({ pushToken, channels }),
+    enabled: true,
+    pushTokenUpdatedAt: now,
+    updatedAt: now
+  });
+}
+
+// Function to remove push tokens from their subscribers
+// Used for tokens Expo reported as DeviceNotRegistered, and for tokens moving to another subscriber
+// Matches both the top-level pushToken and Expo channels; Firestore errors are rethrown so callers can retry
+export async function removePushTokens(db, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+
+  try {
+    console.log(`🧹 Removing ${tokens.length} push tokens from their subscriptions...`);
+    const owners = await findPushTokenOwners(db, tokens);
+    const batch = db.batch();
+    owners.forEach(doc => {
+      // Subscribers with another push token or other channels keep receiving through those
+      const data = doc.data();
+      const pushToken = tokens.includes(data.pushToken) ? null : data.pushToken || null;
+      const channels = (data.channels || []).filter(channel => !(channel.type === 'expo' && tokens.includes(channel.pushToken)));
+      const pushTokens = pushTokensOf({ pushToken, channels });
+      batch.update(doc.ref, pushToken || channels.length > 0 ? { pushToken, channels, pushTokens } : { pushToken, channels, pushTokens, enabled: false });
+    });
+
+    await batch.commit();
+    console.log(`🧹 Removed push tokens from ${owners.length} subscriptions`);
+  } catch (error) {
+    console.error('❌ Error removing push tokens:', error);
+    throw error;
+  }
+}
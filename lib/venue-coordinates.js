@@ -0,0 +1,20 @@
+// Offline lookup table of LCSD sports centre coordinates (WGS84, approximate building location)
+//
+// Used when the feed carries no coordinates for a venue. Keys are Venue_Name_EN values;
+// entries can be added or corrected with a VENUE_COORDINATES_FILE (see lib/venues.js).
+
+export const VENUE_COORDINATES = {
+  'Harbour Road Sports Centre': { lat: 22.2804, lng: 114.1735 },
+  'Kennedy Town Sports Centre': { lat: 22.2830, lng: 114.1283 },
+  'Kowloon Park Sports Centre': { lat: 22.2992, lng: 114.1706 },
+  'Lai Chi Kok Park Sports Centre': { lat: 22.3383, lng: 114.1408 },
+  'Ma On Shan Sports Centre': { lat: 22.4243, lng: 114.2316 },
+  'Morse Park Sports Centre': { lat: 22.3393, lng: 114.1893 },
+  'Queen Elizabeth Stadium': { lat: 22.2738, lng: 114.1794 },
+  'Shek Kip Mei Park Sports Centre': { lat: 22.3323, lng: 114.1652 },
+  'Sheung Wan Sports Centre': { lat: 22.2871, lng: 114.1504 },
+  'Tai Po Sports Centre': { lat: 22.4478, lng: 114.1672 },
+  'Tseung Kwan O Sports Centre': { lat: 22.3078, lng: 114.2592 },
+  'Tung Chung Man Tung Road Sports Centre': { lat: 22.2884, lng: 113.9412 },
+  'Yuen Long Sports Centre': { lat: 22.4432, lng: 114.0268 }
+};
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import { VENUE_COORDINATES } from './venue-coordinates.js';
+import { config } from './config.js';
+
+// Venue registry with coordinates
+//
+// Coordinates come from the feed's Latitude/Longitude fields where a record has them,
+// otherwise from the bundled table in lib/venue-coordinates.js, optionally extended by
+// venues.coordinatesFile (VENUE_COORDINATES_FILE, JSON: { "<Venue_Name_EN>": { "lat": 22.3, "lng": 114.1 } }).
+// Venues found in neither have no location and never match a radius rule (lib/subscriptions.js logs them).
+//
+// Travel time is estimated from the straight-line distance at venues.travelSpeedKmh
+// (TRAVEL_SPEED_KMH, default 15) plus venues.travelBufferMinutes (TRAVEL_BUFFER_MINUTES, default 10).
+
+export const TRAVEL_SPEED_KMH = config.venues.travelSpeedKmh;
+export const TRAVEL_BUFFER_MINUTES = config.venues.travelBufferMinutes;
+const EARTH_RADIUS_KM = 6371;
+
+let extraCoordinates = null;
+
+// Function to load the optional coordinates file once
+function loadExtraCoordinates() {
+  if (extraCoordinates) {
+    return extraCoordinates;
+  }
+  extraCoordinates = {};
+  const file = config.venues.coordinatesFile;
+  if (file) {
+    try {
+      extraCoordinates = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`📍 Loaded ${Object.keys(extraCoordinates).length} venue coordinates from ${file}`);
+    } catch (error) {
+      console.error(`❌ Error loading venue coordinates from ${file}:`, error.message);
+    }
+  }
+  return extraCoordinates;
+}
+
+function toLocation(lat, lng) {
+  const location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  return Number.isFinite(location.lat) && Number.isFinite(location.lng) ? location : null;
+}
+
+// Function to look up the bundled coordinates of a venue
+export function lookupVenueLocation(venue) {
+  const entry = loadExtraCoordinates()[venue] || VENUE_COORDINATES[venue];
+  return entry ? toLocation(entry.lat, entry.lng) : null;
+}
+
+// Function to build the venue registry from a court data snapshot
+// Returns Map(Venue_Name_EN -> { venue, venueTC, district, address, location, source })
+export function buildVenueRegistry(data) {
+  const registry = new Map();
+  data.forEach(court => {
+    const venue = court.Venue_Name_EN;
+    const existing = registry.get(venue);
+    if (existing?.source === 'feed') {
+      return;
+    }
+
+    const feedLocation = toLocation(court.Latitude, court.Longitude);
+    const location = feedLocation || existing?.location || lookupVenueLocation(venue);
+    registry.set(venue, {
+      venue,
+      venueTC: court.Venue_Name_TC?.trim(),
+      district: court.District_Name_EN?.trim(),
+      address: court.Venue_Address_EN?.trim() || existing?.address || null,
+      location,
+      source: feedLocation ? 'feed' : location ? 'table' : null
+    });
+  });
+  return registry;
+}
+
+// Function to get the great-circle distance between two { lat, lng } points in km
+export function distanceKm(from, to) {
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Function to estimate the minutes needed to travel a distance
+export function travelMinutes(km, { speedKmh = TRAVEL_SPEED_KMH, bufferMinutes = TRAVEL_BUFFER_MINUTES } = {}) {
+  return Math.round(km / speedKmh * 60) + bufferMinutes;
+}
+
+// Function to attach the venue location from the registry to a change
+export function locateChange(change, registry) {
+  const location = registry.get(change.venue)?.location || lookupVenueLocation(change.venue);
+  return location ? { ...change, location } : change;
+}
@@ -1,239 +1,58 @@
-import fetch from 'node-fetch';
-import fs from 'fs';
-import path from 'path';
+import { formatNotificationContent } from './lib/court-data.js';
+import { isUnhealthy, runFacilityCycles, printChangesDetected } from './lib/monitor.js';
+import { createFacilityStorages } from './lib/storage/index.js';
+import { installLogger } from './lib/logger.js';
+import { assertValidConfig, describeConfigOrigin } from './lib/config.js';
 
-// File to store previous data
-const DATA_FILE = 'previous_court_data.json';
-
-// Function to fetch court data from LCSD API with retry logic
-async function fetchCourtData() {
-  const maxRetries = 3;
-  const retryDelay = 5000; // 5 seconds
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Fetching court data from LCSD API... (Attempt ${attempt}/${maxRetries})`);
-      console.log('API URL: https://data.smartplay.lcsd.gov.hk/rest/cms/api/v1/publ/contents/open-data/badminton/file');
-      
-      // Try with different headers and much longer timeout for large data
-      const response = await fetch('https://data.smartplay.lcsd.gov.hk/rest/cms/api/v1/publ/contents/open-data/badminton/file', {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json, text/plain, */*',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-        },
-        timeout: 60000, // Increased to 60 seconds for large data transfer
-      });
-
-      console.log(`Response status: ${response.status}`);
-      console.log(`Response headers:`, Object.fromEntries(response.headers.entries()));
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      console.log('📥 Starting to read response data...');
-      const data = await response.json();
-      console.log(`✅ Successfully fetched ${data.length} court records`);
-      console.log(`📊 Data size: ${JSON.stringify(data).length} characters`);
-      return data;
-    } catch (error) {
-      console.error(`Error fetching court data (Attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt === maxRetries) {
-        console.error('All retry attempts failed');
-        return null;
-      }
-      
-      console.log(`Retrying in ${retryDelay/1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-  }
-}
-
-// Function to load previous data
-function loadPreviousData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      console.log(`📂 Found previous data file: ${DATA_FILE}`);
-      const data = fs.readFileSync(DATA_FILE, 'utf8');
-      const parsedData = JSON.parse(data);
-      console.log(`📊 Loaded ${parsedData.length} previous court records`);
-      return parsedData;
-    } else {
-      console.log(`📂 No previous data file found: ${DATA_FILE}`);
-      console.log('🔍 This is the first run or previous data was not available');
-    }
-  } catch (error) {
-    console.error('❌ Error loading previous data:', error);
-    console.log('🔍 Will treat this as first run');
-  }
-  return null;
-}
-
-// Function to save current data
-function saveCurrentData(data) {
+// Main function
+async function main() {
+  installLogger();
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-    console.log('Current data saved for next comparison');
+    assertValidConfig();
   } catch (error) {
-    console.error('Error saving current data:', error);
-  }
-}
-
-// Function to format date for display
-function formatDate(dateString) {
-  const date = new Date(dateString);
-  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const dayName = dayNames[date.getDay()];
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${dayName}, ${month}/${day}`;
-}
-
-// Function to detect changes and format notifications
-function detectChanges(currentData, previousData) {
-  const changes = [];
-  
-  if (!previousData) {
-    console.log('First run - storing initial data');
-    return changes;
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return;
   }
-
-  console.log('Comparing with previous data...');
-  
-  // Create a map of previous data for quick lookup
-  const previousMap = new Map();
-  previousData.forEach(court => {
-    const key = `${court.Venue_Name_EN}-${court.Available_Date}-${court.Session_Start_Time}`;
-    previousMap.set(key, court);
-  });
-
-  // Check for changes in current data
-  currentData.forEach(currentCourt => {
-    const key = `${currentCourt.Venue_Name_EN}-${currentCourt.Available_Date}-${currentCourt.Session_Start_Time}`;
-    const previousCourt = previousMap.get(key);
-    
-    if (previousCourt) {
-      const currentAvailable = parseInt(currentCourt.Available_Courts || 0);
-      const previousAvailable = parseInt(previousCourt.Available_Courts || 0);
-      
-      // Check for new availability or increased availability
-      if (currentAvailable > 0 && previousAvailable === 0) {
-        // New courts available
-        changes.push({
-          type: 'new_availability',
-          venue: currentCourt.Venue_Name_EN,
-          district: currentCourt.District_Name_EN?.trim(),
-          date: currentCourt.Available_Date,
-          time: `${currentCourt.Session_Start_Time}-${currentCourt.Session_End_Time}`,
-          currentCount: currentAvailable,
-          previousCount: 0,
-          message: `🟢 ${currentCourt.Venue_Name_EN}\n   ${formatDate(currentCourt.Available_Date)} • ${currentCourt.Session_Start_Time}-${currentCourt.Session_End_Time}\n   Now available: ${currentAvailable} courts (was 0)`
-        });
-      } else if (currentAvailable > previousAvailable && previousAvailable > 0) {
-        // More courts available
-        const increase = currentAvailable - previousAvailable;
-        changes.push({
-          type: 'increased_availability',
-          venue: currentCourt.Venue_Name_EN,
-          district: currentCourt.District_Name_EN?.trim(),
-          date: currentCourt.Available_Date,
-          time: `${currentCourt.Session_Start_Time}-${currentCourt.Session_End_Time}`,
-          currentCount: currentAvailable,
-          previousCount: previousAvailable,
-          increase: increase,
-          message: `🟢 ${currentCourt.Venue_Name_EN}\n   ${formatDate(currentCourt.Available_Date)} • ${currentCourt.Session_Start_Time}-${currentCourt.Session_End_Time}\n   Now available: ${currentAvailable} courts (was ${previousAvailable})`
-        });
-      }
-    }
-  });
-
-  return changes;
-}
-
-// Function to format notification content
-function formatNotificationContent(changes) {
-  if (changes.length === 0) {
-    return null;
-  }
-
-  let title = '🏸 Court Available!';
-  let body = '';
+  console.log(describeConfigOrigin());
   
-  if (changes.length === 1) {
-    // Single change
-    body = changes[0].message;
-  } else {
-    // Multiple changes
-    title = `🏸 ${changes.length} Courts Available!`;
-    body = changes.slice(0, 3).map(change => change.message).join('\n\n');
-    if (changes.length > 3) {
-      body += `\n\n... and ${changes.length - 3} more changes`;
-    }
-  }
-
-  return { title, body, changes };
-}
-
-// Main function
-async function main() {
   try {
     console.log('🏸 Starting enhanced badminton court monitoring...');
     
-    // Test basic connectivity first
-    console.log('🔍 Testing basic connectivity...');
-    try {
-      const testResponse = await fetch('https://httpbin.org/get', { timeout: 5000 });
-      console.log('✅ Basic internet connectivity: OK');
-    } catch (error) {
-      console.log('❌ Basic internet connectivity failed:', error.message);
-    }
-    
-    // Load previous data
-    console.log('📂 Loading previous court data...');
-    const previousData = loadPreviousData();
+    // Previous data is kept in previous_court_data.json unless STORAGE_BACKEND says otherwise
+    const storages = await createFacilityStorages('file');
+    const result = await runFacilityCycles(storages);
     
-    // Fetch current data
-    const currentData = await fetchCourtData();
-    if (!currentData) {
-      console.log('❌ Failed to fetch court data');
+    // Let the scheduler see failed fetches and feed-health problems
+    if (isUnhealthy(result)) {
+      process.exitCode = 1;
+    }
+    if (!result) {
       return;
     }
-
-    // Detect changes
-    console.log('🔍 Detecting changes...');
-    const changes = detectChanges(currentData, previousData);
     
     // Format notification content
-    const notificationContent = formatNotificationContent(changes);
+    const notificationContent = formatNotificationContent(result.changes);
     
     if (notificationContent) {
-      console.log(`🔔 Found ${changes.length} changes!`);
+      console.log(`🔔 Found ${result.changes.length} changes!`);
       console.log('📱 Notification content:');
       console.log(`Title: ${notificationContent.title}`);
       console.log(`Body: ${notificationContent.body}`);
       
       // Output structured data for GitHub Actions
-      console.log('=== CHANGES_DETECTED ===');
-      console.log(JSON.stringify(notificationContent));
-      console.log('=== END_CHANGES ===');
+      printChangesDetected(notificationContent);
     } else {
       console.log('✅ No changes detected');
     }
     
-    // Save current data for next comparison
-    console.log('💾 Saving current data for next comparison...');
-    saveCurrentData(currentData);
-    
     console.log('✅ Enhanced monitoring cycle completed');
     
   } catch (error) {
     console.error('❌ Error in enhanced monitoring cycle:', error);
+    process.exitCode = 1;
   }
 }
 
 // Run the main function
-main(); 
+main();
@@ -0,0 +1,93 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createMonitorState } from '../lib/monitor-state.js';
+import { createApiHandler } from '../lib/api-server.js';
+
+const state = createMonitorState();
+let server;
+let base;
+
+before(async () => {
+  state.recordSnapshot([
+    { Venue_Name_EN: 'Kowloon Park', District_Name_EN: 'Yau Tsim Mong', Available_Date: '2026-10-20', Session_Start_Time: '18:00', Session_End_Time: '19:00', Available_Courts: '2' }
+  ], [
+    { type: 'new_availability', venue: 'Kowloon Park', district: 'Yau Tsim Mong', date: '2026-10-20', startTime: '18:00', time: '18:00-19:00', currentCount: 2, previousCount: 0 }
+  ]);
+  server = http.createServer(createApiHandler(state));
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('a malformed Last-Event-ID is answered with 400 and the server keeps running', async () => {
+  const res = await fetch(`${base}/stream`, { headers: { 'Last-Event-ID': 'not-an-id' } });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Invalid "since" value/);
+
+  const health = await fetch(`${base}/districts`);
+  assert.equal(health.status, 200);
+});
+
+test('a valid Last-Event-ID replays the missed events', async () => {
+  const controller = new AbortController();
+  const res = await fetch(`${base}/stream`, { headers: { 'Last-Event-ID': '0' }, signal: controller.signal });
+  assert.equal(res.status, 200);
+
+  const reader = res.body.getReader();
+  let text = '';
+  while (!text.includes('event: change')) {
+    text += new TextDecoder().decode((await reader.read()).value);
+  }
+  controller.abort();
+  assert.match(text, /id: \d+\nevent: change\ndata: .*"venue":"Kowloon Park"/);
+});
+
+test('a non-integer or negative minCourts is answered with 400', async () => {
+  for (const value of ['abc', '-1', '1.5', '2x']) {
+    const res = await fetch(`${base}/availability?minCourts=${value}`);
+    assert.equal(res.status, 400, value);
+    assert.match((await res.json()).error, /Invalid "minCourts" value/);
+  }
+  assert.equal((await fetch(`${base}/calendar.ics?minCourts=abc`)).status, 400);
+
+  const res = await fetch(`${base}/availability?minCourts=2`);
+  assert.equal((await res.json()).count, 1);
+  assert.equal((await (await fetch(`${base}/availability?minCourts=3`)).json()).count, 0);
+});
+
+test('a malformed date, from or to is answered with 400', async () => {
+  for (const query of ['date=tomorrow', 'from=abc', 'to=7pm']) {
+    const res = await fetch(`${base}/availability?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.match((await res.json()).error, /Invalid "(date|from|to)" value/);
+  }
+  assert.equal((await fetch(`${base}/calendar.ics?from=abc`)).status, 400);
+  assert.equal((await fetch(`${base}/stream?to=abc`)).status, 400);
+  assert.equal((await (await fetch(`${base}/availability?date=2026-10-20&from=17:00&to=18:00`)).json()).count, 1);
+});
+
+test('an unexpected error is answered with 500 and logged, not blamed on the request', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  const broken = http.createServer(createApiHandler({
+    ...state,
+    changesSince() {
+      throw new TypeError('Cannot read properties of undefined');
+    }
+  }));
+  await new Promise(resolve => broken.listen(0, resolve));
+  try {
+    const res = await fetch(`http://localhost:${broken.address().port}/changes`);
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: 'Internal server error' });
+    assert.match(errors.mock.calls[0].arguments.join(' '), /Error serving \/changes Cannot read properties/);
+  } finally {
+    errors.mock.restore();
+    broken.closeAllConnections();
+    broken.close();
+  }
+});
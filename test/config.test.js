@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { loadConfig, redactConfig, ConfigError, CONFIG_SCHEMA, REDACTED } from '../lib/config.js';
+
+const CLI = new URL('../court-monitor.js', import.meta.url).pathname;
+const CONFIG_URL = new URL('../lib/config.js', import.meta.url).href;
+
+function writeConfigFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'court-config-'));
+  const file = path.join(dir, 'court-monitor.config.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+const file = writeConfigFile({
+  fetch: { retries: 4, timeoutSeconds: 30 },
+  profiles: {
+    ci: { fetch: { retries: 6 }, logging: { format: 'json' } },
+    production: { api: { port: 3000 } }
+  }
+});
+
+test('the active profile is laid over the top-level settings of the file', () => {
+  const ci = loadConfig({ env: { CI: 'true' }, file });
+  assert.equal(ci.profile, 'ci');
+  assert.equal(ci.values.fetch.retries, 6);
+  assert.equal(ci.values.fetch.timeoutSeconds, 30);
+  assert.equal(ci.values.logging.format, 'json');
+  assert.equal(ci.sources['fetch.retries'], 'profile ci');
+  assert.equal(ci.sources['fetch.timeoutSeconds'], file);
+
+  // "local" is not defined by the file, which is fine when it is only the default
+  const local = loadConfig({ env: {}, file });
+  assert.equal(local.profile, 'local');
+  assert.equal(local.values.fetch.retries, 4);
+  assert.equal(local.values.logging.format, 'text');
+  assert.equal(local.sources['logging.format'], 'default');
+
+  const production = loadConfig({ env: { COURT_MONITOR_PROFILE: 'production' }, file });
+  assert.equal(production.values.api.port, 3000);
+  assert.throws(() => loadConfig({ env: {}, file, profile: 'staging' }), /profile "staging" is not defined \(the config file defines ci, production\)/);
+});
+
+test('environment variables win over the file, and empty ones are ignored', () => {
+  const loaded = loadConfig({ env: { CI: 'true', FETCH_RETRIES: '8', FETCH_TIMEOUT: '', FACILITIES: 'badminton, tennis', HISTORY_ENABLED: 'FALSE' }, file });
+  assert.equal(loaded.values.fetch.retries, 8);
+  assert.equal(loaded.sources['fetch.retries'], 'FETCH_RETRIES');
+  assert.equal(loaded.values.fetch.timeoutSeconds, 30);
+  assert.deepEqual(loaded.values.fetch.facilities, ['badminton', 'tennis']);
+  assert.equal(loaded.values.history.enabled, false);
+});
+
+test('fetch.urls keys from the file and the environment name the facility ids', () => {
+  const urlsFile = writeConfigFile({ fetch: { urls: { 'table-tennis': 'https://example.com/tt.json', Squash: 'https://example.com/squash.json' } } });
+  const loaded = loadConfig({ env: { LCSD_API_URL_TENNIS: 'https://example.com/tennis.json' }, file: urlsFile });
+  assert.deepEqual(loaded.values.fetch.urls, {
+    table_tennis: 'https://example.com/tt.json',
+    squash: 'https://example.com/squash.json',
+    tennis: 'https://example.com/tennis.json'
+  });
+  assert.equal(loaded.sources['fetch.urls'], 'LCSD_API_URL_*');
+});
+
+test('every invalid setting is reported at once, without echoing secrets', () => {
+  const badFile = writeConfigFile({ fetch: { retries: 0, colour: 'red' }, weather: {} });
+  let error;
+  try {
+    loadConfig({ env: { LOG_FORMAT: 'xml', API_PORT: 'eighty', TELEGRAM_BOT_TOKEN: '', OPERATOR_CHANNELS: 'not json' }, file: badFile });
+  } catch (caught) {
+    error = caught;
+  }
+  assert.ok(error instanceof ConfigError);
+  assert.deepEqual(error.errors, [
+    'fetch.colour is not a known setting',
+    `weather is not a known config section (expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')})`,
+    'fetch.retries should be at least 1 (got 0 from ' + badFile + ')',
+    'logging.format should be one of text, json (got "xml" from LOG_FORMAT)',
+    'feedHealth.operatorChannels should be a JSON object or array (got a secret value from OPERATOR_CHANNELS)',
+    'api.port should be a whole number (got "eighty" from API_PORT)'
+  ]);
+  assert.match(error.message, /^Invalid configuration \(.*court-monitor\.config\.json, profile local\):\n {2}- fetch\.colour/);
+  assert.equal(error.file, badFile);
+  assert.equal(error.profile, 'local');
+});
+
+test('redactConfig hides the secret settings that are set', () => {
+  const { values } = loadConfig({ env: { TELEGRAM_BOT_TOKEN: '123:abc', TELEGRAM_CHAT_ID: '-100123', SLACK_WEBHOOK_URL: 'https://hooks.slack.com/x' } });
+  const redacted = redactConfig(values);
+  assert.equal(redacted.telegram.botToken, REDACTED);
+  assert.equal(redacted.telegram.chatId, '-100123');
+  assert.equal(redacted.slack.webhookUrl, REDACTED);
+  assert.equal(redacted.discord.webhookUrl, null);
+  assert.equal(values.telegram.botToken, '123:abc');
+  assert.doesNotMatch(JSON.stringify(redacted), /123:abc|hooks\.slack/);
+});
+
+test('an invalid configuration does not stop the import; assertValidConfig throws it instead', () => {
+  const script = `import { config, assertValidConfig, ConfigError } from '${CONFIG_URL}';
+    try {
+      assertValidConfig();
+    } catch (error) {
+      console.log(error instanceof ConfigError, error.errors.length, config.fetch.retries);
+    }`;
+  const { stdout, status } = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: os.tmpdir(),
+    env: { PATH: process.env.PATH, FETCH_RETRIES: '0' },
+    encoding: 'utf8'
+  });
+  assert.equal(status, 0);
+  assert.equal(stdout.trim(), 'true 1 3');
+});
+
+test('the CLI reports an invalid configuration and exits with status 1', () => {
+  const run = args => spawnSync(process.execPath, [CLI, ...args], {
+    cwd: os.tmpdir(),
+    env: { PATH: process.env.PATH, FETCH_RETRIES: '0' },
+    encoding: 'utf8'
+  });
+
+  const config = run(['config']);
+  assert.equal(config.status, 1);
+  assert.match(config.stderr, /Invalid configuration \(profile local\):\n {2}- fetch\.retries should be at least 1 \(got "0" from FETCH_RETRIES\)/);
+
+  const check = run(['check']);
+  assert.equal(check.status, 1);
+  assert.match(check.stderr, /fetch\.retries should be at least 1/);
+  assert.doesNotMatch(check.stderr, /Fetching/);
+});
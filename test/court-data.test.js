@@ -0,0 +1,118 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatNotificationContent, detectChanges } from '../lib/court-data.js';
+import { buildSubscriberNotifications } from '../lib/subscriptions.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+
+function change(venue, startTime, extra = {}) {
+  return {
+    type: 'new_availability',
+    slotKey: `${venue}-2026-10-20-${startTime}`,
+    venue,
+    district: 'Yau Tsim Mong',
+    date: '2026-10-20',
+    startTime,
+    time: `${startTime}-${parseInt(startTime, 10) + 1}:00`,
+    currentCount: 2,
+    previousCount: 0,
+    ...extra
+  };
+}
+
+test('the "more changes" line counts the changes left out of the body', () => {
+  // Single-session groups (some with an extra too-late line) and multi-session groups
+  const changes = [];
+  for (let i = 0; i < 30; i++) {
+    changes.push(change(`Venue ${i} Sports Centre`, '9:00', { tooLate: i % 2 === 0 }));
+    if (i % 3 === 0) {
+      changes.push(change(`Venue ${i} Sports Centre`, '10:00'), change(`Venue ${i} Sports Centre`, '11:00'));
+    }
+  }
+
+  const { body } = formatNotificationContent(changes);
+  const shown = body.split('\n').filter(line => line.includes('Now available')).length;
+  const more = parseInt(body.match(/and (\d+) more changes/)[1], 10);
+  assert.ok(shown > 0 && shown < changes.length);
+  assert.equal(shown + more, changes.length);
+});
+
+test('fewer courts are not announced as availability', () => {
+  const { body } = formatNotificationContent([change('Kowloon Park Sports Centre', '9:00', { type: 'decreased_availability', currentCount: 1, previousCount: 3 })]);
+  assert.match(body, /Fewer courts: 1 courts \(was 3\)/);
+});
+
+function court(start, courts, venue = 'Kowloon Park Sports Centre') {
+  return {
+    Venue_Name_EN: venue,
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: '2026-10-20',
+    Session_Start_Time: start,
+    Session_End_Time: `${parseInt(start, 10) + 1}:00`,
+    Available_Courts: String(courts)
+  };
+}
+
+const summary = changes => changes.map(({ type, startTime, currentCount, previousCount }) => [type, startTime, currentCount, previousCount]);
+
+test('detectChanges reports every kind of change between two snapshots', () => {
+  const previous = [court('9:00', 0), court('10:00', 1), court('11:00', 2), court('12:00', 3), court('13:00', 2), court('14:00', 4)];
+  const current = [court('9:00', 2), court('10:00', 3), court('11:00', 0), court('12:00', 1), court('13:00', 2), court('15:00', 1)];
+
+  assert.deepEqual(summary(detectChanges(current, previous)), [
+    ['new_availability', '9:00', 2, 0],
+    ['increased_availability', '10:00', 3, 1],
+    ['sold_out', '11:00', 0, 2],
+    ['decreased_availability', '12:00', 1, 3],
+    ['slot_added', '15:00', 1, 0],
+    ['slot_removed', '14:00', 0, 4]
+  ]);
+});
+
+test('detectChanges reports nothing on the first run and for an unchanged snapshot', () => {
+  const data = [court('9:00', 2), court('10:00', 0)];
+  assert.deepEqual(detectChanges(data, null), []);
+  assert.deepEqual(detectChanges(data, data), []);
+});
+
+test('a session added without courts, or removed while full, is still reported', () => {
+  const changes = detectChanges([court('9:00', 0), court('10:00', 0)], [court('10:00', 0), court('11:00', 0)]);
+  assert.deepEqual(summary(changes), [['slot_added', '9:00', 0, 0], ['slot_removed', '11:00', 0, 0]]);
+  assert.equal(changes[0].slotKey, 'Kowloon Park Sports Centre-2026-10-20-9:00');
+});
+
+test('"now gone" follow-ups are only sent to subscribers who opted in, once per alerted slot', () => {
+  const now = new Date('2026-10-19T10:00:00+08:00');
+  const subscribers = [
+    { id: 'opted-in', pushToken: 'ExponentPushToken[in]', followUps: true, rules: [] },
+    { id: 'default', pushToken: 'ExponentPushToken[default]', rules: [] }
+  ];
+  const alertState = {};
+  const run = (currentData, previousData, at = now) => buildSubscriberNotifications(
+    detectChanges(currentData, previousData), subscribers, alertState, { currentData, previousData, now: at }
+  ).map(({ subscriberId, kind, changes }) => [subscriberId, kind, changes.map(change => change.type)]);
+
+  const empty = [court('9:00', 0), court('10:00', 0)];
+  const freed = [court('9:00', 2), court('10:00', 0)];
+  assert.deepEqual(run(freed, empty), [['opted-in', 'alert', ['new_availability']], ['default', 'alert', ['new_availability']]]);
+
+  // The freed session sells out, and a session nobody was alerted about drops out of the feed
+  const taken = [court('9:00', 0)];
+  assert.deepEqual(run(taken, freed, new Date(now.getTime() + 60 * 1000)), [['opted-in', 'follow_up', ['sold_out']]]);
+
+  // A slot is followed up once, even if it frees and sells out again inside the cooldown
+  run(freed, taken, new Date(now.getTime() + 2 * 60 * 1000));
+  assert.deepEqual(run(taken, freed, new Date(now.getTime() + 3 * 60 * 1000)), []);
+});
+
+test('rules opt in to decreased availability and sold out alerts with changeTypes', () => {
+  const subscribers = [{ id: 'watcher', pushToken: 'ExponentPushToken[watcher]', rules: [{ changeTypes: ['decreased_availability', 'sold_out'] }] }];
+  const currentData = [court('9:00', 1), court('10:00', 0), court('11:00', 4)];
+  const previousData = [court('9:00', 3), court('10:00', 2), court('11:00', 1)];
+  const [notification] = buildSubscriberNotifications(detectChanges(currentData, previousData), subscribers, {}, {
+    currentData, previousData, now: new Date('2026-10-19T10:00:00+08:00')
+  });
+  assert.equal(notification.kind, 'alert');
+  assert.deepEqual(notification.changes.map(change => change.type), ['decreased_availability', 'sold_out']);
+});
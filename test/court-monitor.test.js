@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { spawnSync } from 'child_process';
+
+const CLI = new URL('../court-monitor.js', import.meta.url).pathname;
+
+function run(args) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    cwd: os.tmpdir(),
+    env: { PATH: process.env.PATH },
+    encoding: 'utf8',
+    timeout: 30 * 1000
+  });
+}
+
+const WATCH_ADD = ['watch', 'add', '--name', 'Test', '--push', 'ExponentPushToken[test]'];
+
+test('numeric options must be numbers as a whole', () => {
+  for (const [args, message] of [
+    [[...WATCH_ADD, '--min-courts', '2x'], /--min-courts must be a whole number from 1 to 50 \(got "2x"\)/],
+    [[...WATCH_ADD, '--min-courts', '1.5'], /--min-courts must be a whole number/],
+    [[...WATCH_ADD, '--block-hours', '2h'], /--block-hours must be a number from 0.5 to 12 \(got "2h"\)/],
+    [[...WATCH_ADD, '--near', '22.3abc,114.1'], /--near latitude must be a number from -90 to 90/],
+    [[...WATCH_ADD, '--near', '22.3,114.1', '--radius', 'far'], /--radius must be a number from 0.1 to 100 \(got "far"\)/],
+    [[...WATCH_ADD, '--urgent-hours', ''], /--urgent-hours must be a number from 0 to 24/],
+    [['search', '--min-courts', '3 courts'], /--min-courts must be a whole number of at least 0/],
+    [['replay', 'a.json', 'b.json', '--interval', '5m'], /--interval must be a whole number of at least 1/]
+  ]) {
+    const { status, stderr } = run(args);
+    assert.equal(status, 2, args.join(' '));
+    assert.match(stderr, message);
+  }
+});
+
+test('numeric options must be within the ranges subscriptions accept', () => {
+  for (const [args, message] of [
+    [[...WATCH_ADD, '--min-courts', '0'], /--min-courts must be a whole number from 1 to 50 \(got "0"\)/],
+    [[...WATCH_ADD, '--block-hours', '0.25'], /--block-hours must be a number from 0.5 to 12/],
+    [[...WATCH_ADD, '--block-hours', '13'], /--block-hours must be a number from 0.5 to 12/],
+    [[...WATCH_ADD, '--near', '22.3,114.1', '--radius', '0'], /--radius must be a number from 0.1 to 100/],
+    [[...WATCH_ADD, '--near', '22.3,214.1'], /--near longitude must be a number from -180 to 180/],
+    [[...WATCH_ADD, '--near', '22.3'], /--near must be "<lat>,<lng>"/],
+    [[...WATCH_ADD, '--radius', '3'], /--radius needs --near/],
+    [[...WATCH_ADD, '--distant-hours', '400'], /--distant-hours must be a number from 1 to 336/]
+  ]) {
+    const { status, stderr } = run(args);
+    assert.equal(status, 2, args.join(' '));
+    assert.match(stderr, message);
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterSlots, validateFilters, QueryError } from '../lib/court-query.js';
+
+const slots = [
+  { facility: 'badminton', venue: 'Kowloon Park Sports Centre', district: 'Yau Tsim Mong', date: '2026-10-20', startTime: '9:00', courts: 2 },
+  { facility: 'badminton', venue: 'Sha Tin Sports Centre', district: 'Sha Tin', date: '2026-10-20', startTime: '21:00', courts: 1 },
+  { facility: 'badminton', venue: 'Island East Sports Centre', district: 'Eastern', date: '2026-10-20', startTime: '10:00', courts: 3 }
+];
+
+function venues(filters) {
+  return filterSlots(slots, filters).map(slot => slot.venue);
+}
+
+test('district and venue filters take a single value or a list of values', () => {
+  assert.deepEqual(venues({ district: 'sha tin' }), ['Sha Tin Sports Centre']);
+  assert.deepEqual(venues({ district: ['Sha Tin', 'Eastern'] }), ['Sha Tin Sports Centre', 'Island East Sports Centre']);
+  assert.deepEqual(venues({ venue: ['kowloon', 'island'] }), ['Kowloon Park Sports Centre', 'Island East Sports Centre']);
+  assert.deepEqual(venues({ district: [], venue: undefined }), slots.map(slot => slot.venue));
+});
+
+test('start time ranges compare unpadded hours by time of day', () => {
+  assert.deepEqual(venues({ from: '09:00', to: '12:00' }), ['Kowloon Park Sports Centre', 'Island East Sports Centre']);
+});
+
+test('a malformed date, start time or court count is rejected instead of matching every slot', () => {
+  for (const [filters, message] of [
+    [{ date: '20-10-2026' }, /Invalid "date" value: 20-10-2026/],
+    [{ date: '2026-13-01' }, /Invalid "date" value/],
+    [{ from: 'abc' }, /Invalid "from" value: abc \(expected HH:MM\)/],
+    [{ to: '18:00x' }, /Invalid "to" value/],
+    [{ to: '18:75' }, /Invalid "to" value/],
+    [{ minCourts: 1.5 }, /Invalid "minCourts" value/]
+  ]) {
+    assert.throws(() => filterSlots(slots, filters), error => error instanceof QueryError && message.test(error.message));
+  }
+  assert.doesNotThrow(() => validateFilters({ date: '2026-10-20', from: '9:00', to: '24:00', minCourts: 0 }));
+});
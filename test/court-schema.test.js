@@ -0,0 +1,78 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateCourtRecord, reportQuarantined, saveQuarantined } from '../lib/court-schema.js';
+import { readCourtRecords } from '../lib/court-data.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+const log = mock.method(console, 'log', () => {});
+
+const VALID = {
+  Venue_Name_EN: 'Kowloon Park Sports Centre',
+  District_Name_EN: 'Yau Tsim Mong',
+  Available_Date: '2026-10-20',
+  Session_Start_Time: '7:00',
+  Session_End_Time: '08:00',
+  Available_Courts: '2'
+};
+
+test('a complete record is valid, with or without the optional fields', () => {
+  assert.deepEqual(validateCourtRecord(VALID), []);
+  assert.deepEqual(validateCourtRecord({ ...VALID, Available_Courts: 0, Venue_Name_TC: '九龍公園體育館', Latitude: '22.30', Longitude: 114.17 }), []);
+});
+
+test('every violation of a record is listed', () => {
+  assert.deepEqual(validateCourtRecord({
+    ...VALID,
+    Venue_Name_EN: '  ',
+    District_Name_EN: undefined,
+    Available_Date: '2026-02-30x',
+    Session_Start_Time: '7pm',
+    Available_Courts: '-1',
+    Latitude: 'north'
+  }), [
+    'Venue_Name_EN should be a non-empty string (got "  ")',
+    'District_Name_EN is missing',
+    'Available_Date should be a YYYY-MM-DD date (got "2026-02-30x")',
+    'Session_Start_Time should be an HH:MM time (got "7pm")',
+    'Available_Courts should be a non-negative integer (got "-1")',
+    'Latitude should be a number (got "north")'
+  ]);
+  assert.deepEqual(validateCourtRecord({ ...VALID, Available_Courts: '' }), ['Available_Courts is missing']);
+  assert.deepEqual(validateCourtRecord({ ...VALID, Available_Courts: '2.5' }), ['Available_Courts should be a non-negative integer (got "2.5")']);
+});
+
+test('values that are not records are rejected as a whole', () => {
+  assert.deepEqual(validateCourtRecord(null), ['record is not an object']);
+  assert.deepEqual(validateCourtRecord(['Kowloon Park']), ['record is not an object']);
+  assert.deepEqual(validateCourtRecord('Kowloon Park'), ['record is not an object']);
+});
+
+test('malformed rows are quarantined with their index while the valid ones are kept', async () => {
+  const rows = [VALID, { ...VALID, Available_Courts: 'many' }, 42, { ...VALID, Session_Start_Time: '19:00' }];
+  const body = Buffer.from(JSON.stringify(rows));
+  const { data, quarantined, bytes } = await readCourtRecords([body.subarray(0, 50), body.subarray(50)]);
+
+  assert.deepEqual(data, [VALID, { ...VALID, Session_Start_Time: '19:00' }]);
+  assert.deepEqual(quarantined, [
+    { index: 1, record: rows[1], errors: ['Available_Courts should be a non-negative integer (got "many")'] },
+    { index: 2, record: 42, errors: ['record is not an object'] }
+  ]);
+  assert.equal(bytes, body.length);
+});
+
+test('quarantined rows are reported up to the limit and saved for inspection', () => {
+  const quarantined = Array.from({ length: 7 }, (_, index) => ({ index, record: {}, errors: ['Venue_Name_EN is missing'] }));
+  log.mock.resetCalls();
+  reportQuarantined(quarantined, 5);
+  const lines = log.mock.calls.map(call => call.arguments.join(' '));
+  assert.equal(lines[0], '⚠️ Quarantined 7 malformed court records');
+  assert.equal(lines.length, 7);
+  assert.equal(lines[6], '   ... and 2 more');
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'court-quarantine-')), 'quarantined.json');
+  saveQuarantined(quarantined, file);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).quarantined, quarantined);
+});
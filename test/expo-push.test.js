@@ -0,0 +1,72 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+const errors = mock.method(console, 'error', () => {});
+
+// Each request is answered with the next queued response, then with one ok ticket per message
+const queued = [];
+let requests = 0;
+let server;
+let sendPushNotifications;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+      const reply = queued.shift();
+      if (reply) {
+        res.writeHead(reply.status, { 'Content-Type': reply.contentType });
+        return res.end(reply.body);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ data: JSON.parse(body).map((message, index) => ({ status: 'ok', id: `receipt-${index}` })) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  // The push URL is read from the configuration when the module loads
+  process.env.EXPO_PUSH_URL = `http://localhost:${server.address().port}/push/send`;
+  ({ sendPushNotifications } = await import('../lib/expo-push.js'));
+});
+
+after(() => server.close());
+
+const MESSAGES = [{ to: 'ExponentPushToken[a]', title: 'Courts free' }, { to: 'ExponentPushToken[b]', title: 'Courts free' }];
+
+test('a 4xx error page that is not JSON fails the chunk at once instead of being retried', async () => {
+  requests = 0;
+  errors.mock.resetCalls();
+  queued.push({ status: 403, contentType: 'text/html', body: '<html><body>Forbidden</body></html>' });
+
+  const result = await sendPushNotifications(MESSAGES);
+  assert.equal(requests, 1);
+  assert.equal(result.sent, 0);
+  assert.equal(result.failed, 2);
+  assert.match(errors.mock.calls[0].arguments.join(' '), /Expo push request rejected: status: 403/);
+});
+
+test('Expo\'s JSON errors are reported with its messages', async () => {
+  requests = 0;
+  errors.mock.resetCalls();
+  queued.push({ status: 400, contentType: 'application/json', body: JSON.stringify({ errors: [{ code: 'VALIDATION_ERROR', message: '"to" must be a string' }] }) });
+
+  const result = await sendPushNotifications(MESSAGES);
+  assert.equal(requests, 1);
+  assert.equal(result.failed, 2);
+  assert.match(errors.mock.calls[0].arguments.join(' '), /rejected: "to" must be a string/);
+});
+
+test('a non-JSON gateway page is retried like any transient failure', async () => {
+  requests = 0;
+  queued.push({ status: 502, contentType: 'text/html', body: '<html>Bad Gateway</html>' });
+  queued.push({ status: 200, contentType: 'text/plain', body: 'OK' });
+
+  const result = await sendPushNotifications(MESSAGES);
+  assert.equal(requests, 3);
+  assert.equal(result.sent, 2);
+  assert.deepEqual(result.receiptIds, { 'receipt-0': 'ExponentPushToken[a]', 'receipt-1': 'ExponentPushToken[b]' });
+});
@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeFirestore } from './helpers/fake-firestore.js';
+import { createFirestoreStorage, SLOTS_COLLECTION } from '../lib/storage/firestore.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+
+function court(venue, start, courts) {
+  return {
+    Venue_Name_EN: venue,
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: '2026-10-20',
+    Session_Start_Time: start,
+    Session_End_Time: '23:00',
+    Available_Courts: String(courts)
+  };
+}
+
+function snapshot(venues, sessions, courts = () => 0) {
+  const data = [];
+  for (let v = 0; v < venues; v++) {
+    for (let s = 0; s < sessions; s++) {
+      data.push(court(`Venue ${v}`, `${String(7 + s).padStart(2, '0')}:00`, courts(v, s)));
+    }
+  }
+  return data;
+}
+
+function sortRecords(data) {
+  return [...data].sort((a, b) => `${a.Venue_Name_EN}|${a.Session_Start_Time}`.localeCompare(`${b.Venue_Name_EN}|${b.Session_Start_Time}`));
+}
+
+async function save(db, data) {
+  const storage = createFirestoreStorage(db);
+  await storage.loadPreviousData();
+  await storage.saveCurrentData(data);
+}
+
+async function load(db) {
+  return createFirestoreStorage(db).loadPreviousData();
+}
+
+test('a run reads the base and the changed slots rather than every slot document', async () => {
+  const db = createFakeFirestore();
+  const first = snapshot(50, 15); // 750 slots
+  await save(db, first);
+
+  const second = first.map((record, i) => (i < 5 ? { ...record, Available_Courts: '2' } : record));
+  await save(db, second);
+
+  db.counts.reads = 0;
+  const loaded = await load(db);
+  assert.deepEqual(sortRecords(loaded), sortRecords(second));
+  // head (twice), one base document and the 5 changed slots
+  assert.ok(db.counts.reads <= 10, `read ${db.counts.reads} documents`);
+});
+
+test('removed slots disappear, and a slot that comes back is read again', async () => {
+  const db = createFakeFirestore();
+  const data = snapshot(3, 3);
+  await save(db, data);
+  await save(db, data.slice(1));
+  assert.equal((await load(db)).length, 8);
+
+  await save(db, data.slice(1));
+  await save(db, data);
+  assert.deepEqual(sortRecords(await load(db)), sortRecords(data));
+});
+
+test('many changes since the base store a new base and drop the old one', async () => {
+  const db = createFakeFirestore();
+  await save(db, snapshot(50, 15));
+  const changed = snapshot(50, 15, () => 1);
+  await save(db, changed);
+
+  const head = db.store.get('court_data/head');
+  assert.equal(head.baseGeneration, 2);
+  assert.ok(!db.store.has('court_data/base_1_0'));
+  assert.deepEqual(sortRecords(await load(db)), sortRecords(changed));
+});
+
+test('data written before bases existed is read in full once, then gets a base', async () => {
+  const db = createFakeFirestore();
+  const data = snapshot(2, 2);
+  data.forEach(record => {
+    const id = encodeURIComponent([record.Venue_Name_EN, record.Available_Date, record.Session_Start_Time].join('|'));
+    db.store.set(`${SLOTS_COLLECTION}/${id}`, { current: { generation: 3, record }, previous: null });
+  });
+  db.store.set('court_data/head', { generation: 3 });
+
+  assert.deepEqual(sortRecords(await load(db)), sortRecords(data));
+  await save(db, data);
+  assert.equal(db.store.get('court_data/head').baseGeneration, 4);
+  assert.deepEqual(sortRecords(await load(db)), sortRecords(data));
+});
+
+test('versions left behind by a run that never committed are not visible', async () => {
+  const db = createFakeFirestore();
+  const data = snapshot(2, 2);
+  await save(db, data);
+
+  const id = encodeURIComponent(['Venue 0', '2026-10-20', '07:00'].join('|'));
+  const stored = db.store.get(`${SLOTS_COLLECTION}/${id}`);
+  db.store.set(`${SLOTS_COLLECTION}/${id}`, {
+    current: { generation: 2, record: { ...data[0], Available_Courts: '9' } },
+    previous: stored ? stored.current : { generation: 1, record: data[0] }
+  });
+
+  assert.deepEqual(sortRecords(await load(db)), sortRecords(data));
+});
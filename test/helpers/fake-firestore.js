@@ -0,0 +1,160 @@
+// In-memory stand-in for the parts of the Firestore Admin API the monitor uses
+// (collections, documents, where/limit queries, batches and transactions)
+// failOn(method) makes the next call of that method reject, to exercise error paths.
+
+import admin from 'firebase-admin';
+
+const SERVER_TIMESTAMP = admin.firestore.FieldValue.serverTimestamp();
+
+// Plain objects and arrays are copied and server timestamps resolved to the current time;
+// anything else (Timestamps, Buffers, other sentinels) is kept as is
+function clone(value) {
+  if (value instanceof admin.firestore.FieldValue && value.isEqual(SERVER_TIMESTAMP)) {
+    return admin.firestore.Timestamp.now();
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+}
+
+function fieldAt(data, path) {
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${key}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const OPERATORS = {
+  '==': (field, value) => canonical(field) === canonical(value),
+  '>': (field, value) => field !== undefined && field !== null && field > value,
+  in: (field, values) => values.some(value => canonical(field) === canonical(value)),
+  'array-contains': (field, value) => Array.isArray(field) && field.some(item => canonical(item) === canonical(value)),
+  'array-contains-any': (field, values) => Array.isArray(field) && field.some(item => values.some(value => canonical(item) === canonical(value)))
+};
+
+export function createFakeFirestore() {
+  const store = new Map();
+  const failures = new Set();
+  const counts = { reads: 0, writes: 0 };
+  let nextId = 1;
+
+  const maybeFail = method => {
+    if (failures.has(method)) {
+      failures.delete(method);
+      throw new Error(`Simulated Firestore failure in ${method}`);
+    }
+  };
+
+  const snapshot = (ref, data) => ({ id: ref.id, ref, exists: data !== undefined, data: () => clone(data) });
+
+  const docRef = (collection, id) => {
+    const key = `${collection}/${id}`;
+    const ref = {
+      id,
+      path: key,
+      async get() {
+        maybeFail('get');
+        counts.reads++;
+        return snapshot(ref, store.get(key));
+      },
+      async set(data, { merge = false } = {}) {
+        maybeFail('set');
+        counts.writes++;
+        store.set(key, clone(merge ? { ...store.get(key), ...data } : data));
+      },
+      async update(data) {
+        maybeFail('update');
+        if (!store.has(key)) {
+          throw new Error(`No document to update: ${key}`);
+        }
+        counts.writes++;
+        store.set(key, { ...store.get(key), ...clone(data) });
+      },
+      async delete() {
+        maybeFail('delete');
+        counts.writes++;
+        store.delete(key);
+      },
+      collection: name => collectionRef(`${key}/${name}`)
+    };
+    return ref;
+  };
+
+  const query = (collection, filters = [], max = null) => ({
+    where: (field, op, value) => query(collection, [...filters, { field, op, value }], max),
+    limit: count => query(collection, filters, count),
+    async get() {
+      maybeFail('query');
+      const prefix = `${collection}/`;
+      let docs = [...store.entries()]
+        .filter(([key]) => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+        .filter(([, data]) => filters.every(({ field, op, value }) => OPERATORS[op](fieldAt(data, field), value)))
+        .map(([key, data]) => snapshot(docRef(collection, key.slice(prefix.length)), data));
+      if (max !== null) {
+        docs = docs.slice(0, max);
+      }
+      counts.reads += Math.max(docs.length, 1);
+      return { empty: docs.length === 0, size: docs.length, docs, forEach: fn => docs.forEach(fn) };
+    }
+  });
+
+  const collectionRef = name => ({
+    ...query(name),
+    doc: (id = `doc${nextId++}`) => docRef(name, id),
+    async add(data) {
+      const ref = docRef(name, `doc${nextId++}`);
+      await ref.set(data);
+      return ref;
+    }
+  });
+
+  const writeBatch = () => {
+    const ops = [];
+    return {
+      set: (ref, data, options) => ops.push(() => ref.set(data, options)),
+      update: (ref, data) => ops.push(() => ref.update(data)),
+      delete: ref => ops.push(() => ref.delete()),
+      async commit() {
+        maybeFail('commit');
+        for (const op of ops) {
+          await op();
+        }
+      }
+    };
+  };
+
+  return {
+    store,
+    counts,
+    failOn: method => failures.add(method),
+    collection: collectionRef,
+    batch: writeBatch,
+    async getAll(...refs) {
+      return Promise.all(refs.map(ref => ref.get()));
+    },
+    async runTransaction(fn) {
+      const batch = writeBatch();
+      const transaction = {
+        get: refOrQuery => refOrQuery.get(),
+        getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+        set: (ref, data, options) => batch.set(ref, data, options),
+        update: (ref, data) => batch.update(ref, data),
+        delete: ref => batch.delete(ref)
+      };
+      const result = await fn(transaction);
+      await batch.commit();
+      return result;
+    }
+  };
+}
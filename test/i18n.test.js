@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGroupedMessages } from '../lib/i18n.js';
+
+function change(startTime) {
+  return {
+    type: 'new_availability',
+    slotKey: `Kowloon Park Sports Centre-2026-10-20-${startTime}`,
+    venue: 'Kowloon Park Sports Centre',
+    district: 'Yau Tsim Mong',
+    date: '2026-10-20',
+    startTime,
+    time: `${startTime}-${parseInt(startTime, 10) + 1}:00`,
+    currentCount: 1,
+    previousCount: 0
+  };
+}
+
+test('grouped sessions are listed by start time, whether or not the hour is zero-padded', () => {
+  const [block] = formatGroupedMessages([change('21:00'), change('9:00'), change('10:00')]);
+  const times = block.split('\n').slice(2).map(line => line.match(/(\d+:\d+)-/)[1]);
+  assert.deepEqual(times, ['9:00', '10:00', '21:00']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonArrayStream } from '../lib/json-stream.js';
+
+const RECORDS = [
+  { Venue_Name_EN: 'Kowloon Park Sports Centre', Venue_Name_TC: '九龍公園體育館', Available_Courts: '2' },
+  { Venue_Name_EN: 'Say "hi", [not] {an} array', Note: 'back\\slash \\"quoted\\" é', Nested: { list: [1, [2, 3]], empty: {} } },
+  { Venue_Name_EN: 'Tab\there, newline\nthere', Escaped: 'é九' },
+  []
+];
+const TEXT = `\uFEFF  [ ${RECORDS.map(record => JSON.stringify(record)).join(' ,\n')} ]\n`;
+
+async function* chunks(buffer, size) {
+  for (let i = 0; i < buffer.length; i += size) {
+    yield buffer.subarray(i, i + size);
+  }
+}
+
+async function parse(body) {
+  const records = [];
+  for await (const record of parseJsonArrayStream(body)) {
+    records.push(record);
+  }
+  return records;
+}
+
+test('records are parsed whatever the chunk boundaries, inside strings, escapes and multi-byte characters', async () => {
+  const buffer = Buffer.from(TEXT);
+  for (const size of [1, 2, 3, 5, 7, 64, buffer.length]) {
+    assert.deepEqual(await parse(chunks(buffer, size)), RECORDS, `chunk size ${size}`);
+  }
+});
+
+test('a split at every position of the body gives the same records', async () => {
+  const buffer = Buffer.from(TEXT);
+  for (let at = 1; at < buffer.length; at++) {
+    const body = [buffer.subarray(0, at), buffer.subarray(at)];
+    assert.deepEqual(await parse(body), RECORDS, `split at byte ${at}`);
+  }
+});
+
+test('string chunks are accepted as well as bytes', async () => {
+  assert.deepEqual(await parse(['[{"a":', '"x,y"}', ',{"b":2}]']), [{ a: 'x,y' }, { b: 2 }]);
+  assert.deepEqual(await parse(['[]']), []);
+  assert.deepEqual(await parse([' [ ] ']), []);
+});
+
+test('a body that ends before the closing bracket is reported as truncated', async () => {
+  const buffer = Buffer.from(TEXT);
+  for (const end of [0, 4, 10, buffer.indexOf('}') + 1, buffer.lastIndexOf(']')]) {
+    await assert.rejects(parse(chunks(buffer.subarray(0, end), 7)), /Truncated JSON array/, `cut at byte ${end}`);
+  }
+});
+
+test('records before a truncation are still yielded', async () => {
+  const records = [];
+  await assert.rejects(async () => {
+    for await (const record of parseJsonArrayStream(['[{"a":1},{"b":2},{"c":'])) {
+      records.push(record);
+    }
+  }, /Truncated JSON array/);
+  assert.deepEqual(records, [{ a: 1 }, { b: 2 }]);
+});
+
+test('bodies that are not a single JSON array are rejected', async () => {
+  await assert.rejects(parse(['{"a":1}']), /Expected a JSON array but found "{"/);
+  await assert.rejects(parse(['[1,2] 3']), /Unexpected data after the end of the JSON array: "3"/);
+  await assert.rejects(parse(['[1,,2]']), /Unexpected "," in JSON array/);
+  await assert.rejects(parse(['[{"a":1} {"b":2}]']), SyntaxError);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+
+// The log format is read when lib/logger.js is imported, so each case runs in a child process
+const LOGGER_URL = new URL('../lib/logger.js', import.meta.url).href;
+
+function run(env, body) {
+  const script = `import { installLogger, startRun, logger } from '${LOGGER_URL}';\n${body}`;
+  const { stdout, stderr } = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    env: { PATH: process.env.PATH, GITHUB_RUN_ID: '42', ...env },
+    encoding: 'utf8'
+  });
+  const lines = text => text.split('\n').filter(Boolean);
+  return { stdout: lines(stdout), stderr: lines(stderr) };
+}
+
+test('JSON logging turns console output into one object per line, without leading emoji', () => {
+  const { stdout } = run({ LOG_FORMAT: 'json' }, `
+    installLogger();
+    startRun();
+    console.log('🔍 Found 3 changes');
+    logger.info('Fetched', { records: 120 });
+  `);
+  const lines = stdout.map(line => JSON.parse(line));
+
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].msg, 'Found 3 changes');
+  assert.equal(lines[0].level, 'info');
+  assert.equal(lines[0].runId, 'gh-42.1');
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  assert.deepEqual({ msg: lines[1].msg, records: lines[1].records }, { msg: 'Fetched', records: 120 });
+});
+
+test('errors go to stderr with their message and stack, and levels below LOG_LEVEL are dropped', () => {
+  const { stdout, stderr } = run({ LOG_FORMAT: 'json', LOG_LEVEL: 'warn' }, `
+    installLogger();
+    console.log('dropped');
+    console.error('❌ Fetch failed:', new Error('boom'));
+  `);
+
+  assert.deepEqual(stdout, []);
+  const [line] = stderr.map(entry => JSON.parse(entry));
+  assert.equal(line.level, 'error');
+  assert.equal(line.msg, 'Fetch failed: boom');
+  assert.equal(line.error, 'boom');
+  assert.match(line.stack, /^Error: boom/);
+});
+
+test('the text format prints messages unchanged', () => {
+  const { stdout } = run({}, `
+    installLogger();
+    console.log('🔍 Found 3 changes');
+  `);
+  assert.deepEqual(stdout, ['🔍 Found 3 changes']);
+});
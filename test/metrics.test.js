@@ -0,0 +1,54 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { increment, setGauge, observe, renderPrometheus, writeMetricsSummary } from '../lib/metrics.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+test('counters, gauges and histograms render in the Prometheus text format', () => {
+  increment('court_monitor_changes_detected_total', { type: 'new_availability' });
+  increment('court_monitor_changes_detected_total', { type: 'new_availability' }, 2);
+  setGauge('court_monitor_records', 120);
+  observe('court_monitor_fetch_duration_seconds', 1.5);
+  observe('court_monitor_fetch_duration_seconds', 20);
+
+  const text = renderPrometheus();
+  assert.match(text, /^# TYPE court_monitor_changes_detected_total counter$/m);
+  assert.match(text, /^court_monitor_changes_detected_total\{type="new_availability"\} 3$/m);
+  assert.match(text, /^court_monitor_records 120$/m);
+  assert.match(text, /^court_monitor_fetch_duration_seconds_bucket\{le="1"\} 0$/m);
+  assert.match(text, /^court_monitor_fetch_duration_seconds_bucket\{le="2"\} 1$/m);
+  assert.match(text, /^court_monitor_fetch_duration_seconds_bucket\{le="\+Inf"\} 2$/m);
+  assert.match(text, /^court_monitor_fetch_duration_seconds_sum 21.5$/m);
+  assert.match(text, /^court_monitor_fetch_duration_seconds_count 2$/m);
+  assert.throws(() => increment('court_monitor_unknown_total'), /Unknown metric/);
+});
+
+test('label values are escaped', () => {
+  increment('court_monitor_notifications_sent_total', { channel: 'a"b\\c\nd' });
+  assert.match(renderPrometheus(), /^court_monitor_notifications_sent_total\{channel="a\\"b\\\\c\\nd"\} 1$/m);
+});
+
+test('the run summary keeps the last successful fetch of an earlier run until this one succeeds', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+  const file = path.join(dir, 'monitor_metrics.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ lastSuccessfulFetch: '2026-10-20T00:00:00.000Z' }));
+    const failed = writeMetricsSummary({ file, runId: 'gh-1.1', now: new Date('2026-10-20T00:10:00Z') });
+    assert.equal(failed.lastSuccessfulFetch, '2026-10-20T00:00:00.000Z');
+    assert.equal(failed.secondsSinceLastSuccess, 600);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).runId, 'gh-1.1');
+    assert.equal(failed.metrics.court_monitor_records.value, 120);
+
+    setGauge('court_monitor_last_success_timestamp_seconds', Date.parse('2026-10-20T00:14:00Z') / 1000);
+    const succeeded = writeMetricsSummary({ file, now: new Date('2026-10-20T00:15:00Z') });
+    assert.equal(succeeded.lastSuccessfulFetch, '2026-10-20T00:14:00.000Z');
+    assert.match(renderPrometheus(new Date('2026-10-20T00:15:00Z')), /^court_monitor_seconds_since_last_success 60$/m);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMonitorState } from '../lib/monitor-state.js';
+
+const change = startTime => ({ type: 'new_availability', venue: 'Kowloon Park', date: '2026-10-20', startTime, currentCount: 2, previousCount: 0 });
+
+test('change ids keep increasing when the daemon restarts', () => {
+  const first = createMonitorState({ firstChangeId: Date.parse('2026-10-19T08:00:00Z') * 1000 });
+  const [lastBeforeRestart] = first.recordSnapshot([], [change('18:00')]).slice(-1);
+
+  const restarted = createMonitorState({ firstChangeId: Date.parse('2026-10-19T08:05:00Z') * 1000 });
+  const events = restarted.recordSnapshot([], [change('19:00'), change('20:00')]);
+  assert.ok(events.every(event => event.id > lastBeforeRestart.id));
+
+  // A client resuming with an id from before the restart gets everything buffered since
+  assert.deepEqual(restarted.changesSince(String(lastBeforeRestart.id)), events);
+});
+
+test('changesSince returns the events after an id', () => {
+  const state = createMonitorState({ firstChangeId: 100 });
+  const events = state.recordSnapshot([], [change('18:00'), change('19:00'), change('20:00')]);
+  assert.deepEqual(events.map(event => event.id), [100, 101, 102]);
+  assert.deepEqual(state.changesSince('100'), events.slice(1));
+  assert.deepEqual(state.changesSince('102'), []);
+});
+
+test('an id the state has not issued yet replays every buffered event', () => {
+  const state = createMonitorState({ firstChangeId: 100 });
+  const events = state.recordSnapshot([], [change('18:00'), change('19:00')]);
+  assert.deepEqual(state.changesSince('103'), events);
+  assert.deepEqual(state.changesSince('999999'), events);
+});
+
+test('changesSince rejects a value that is neither an id nor a timestamp', () => {
+  const state = createMonitorState();
+  assert.throws(() => state.changesSince('not-an-id'), /Invalid "since" value/);
+});
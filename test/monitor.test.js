@@ -0,0 +1,133 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import admin from 'firebase-admin';
+import { createFakeFirestore } from './helpers/fake-firestore.js';
+import { createFirestoreStorage } from '../lib/storage/firestore.js';
+import { runFacilityCycles, isUnhealthy } from '../lib/monitor.js';
+import { readHistory } from '../lib/history.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+function court(start, courts) {
+  return {
+    Venue_Name_EN: 'Kowloon Park Sports Centre',
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: '2026-10-20',
+    Session_Start_Time: start,
+    Session_End_Time: `${parseInt(start, 10) + 1}:00`,
+    Available_Courts: String(courts)
+  };
+}
+
+function fetcherOf(data, etag) {
+  return async () => ({ data, etag, lastModified: null, quarantined: [] });
+}
+
+async function cycle(storage, data, etag) {
+  return runFacilityCycles(new Map([['badminton', storage]]), { fetcher: fetcherOf(data, etag), record: false });
+}
+
+test('a run that lost its lease fails the cycle without saving validators or returning changes', async () => {
+  const db = createFakeFirestore();
+  const before = [court('18:00', 0), court('19:00', 0)];
+  const after = [court('18:00', 2), court('19:00', 0)];
+  await cycle(createFirestoreStorage(db, { owner: 'first' }), before, '"v1"');
+  assert.equal(db.store.get('court_data/fetch_meta').etag, '"v1"');
+
+  // Another run takes the lease over while this one is detecting changes (and lets it lapse)
+  const storage = createFirestoreStorage(db, { owner: 'second' });
+  const loadPreviousData = storage.loadPreviousData;
+  storage.loadPreviousData = async () => {
+    const data = await loadPreviousData();
+    await db.collection('court_data').doc('lease').set({ owner: 'intruder', expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1) });
+    return data;
+  };
+  const result = await cycle(storage, after, '"v2"');
+
+  assert.equal(result, null);
+  assert.ok(isUnhealthy(result));
+  assert.equal(db.store.get('court_data/fetch_meta').etag, '"v1"');
+  assert.equal(db.store.get('court_data/head').generation, 1);
+
+  // The next run still sees the change against the old baseline
+  const retry = await cycle(createFirestoreStorage(db, { owner: 'third' }), after, '"v2"');
+  assert.deepEqual(retry.changes.map(change => change.startTime), ['18:00']);
+});
+
+test('a failed commit is reported as a failed facility, and other facilities still run', async () => {
+  const db = createFakeFirestore();
+  const tennis = createFirestoreStorage(db, { namespace: 'tennis' });
+  const badminton = createFirestoreStorage(db);
+  const storages = new Map([['badminton', badminton], ['tennis', tennis]]);
+  await runFacilityCycles(storages, { fetcher: fetcherOf([court('18:00', 0)], '"v1"'), record: false });
+
+  // The generation commit fails once the lease is held
+  const acquireLease = badminton.acquireLease;
+  badminton.acquireLease = async () => {
+    const acquired = await acquireLease();
+    db.failOn('commit');
+    return acquired;
+  };
+  const result = await runFacilityCycles(storages, { fetcher: fetcherOf([court('18:00', 3)], '"v2"'), record: false });
+
+  assert.deepEqual(result.failed, ['badminton']);
+  assert.ok(isUnhealthy(result));
+  assert.equal(result.changes.length, 1);
+  assert.equal(db.store.get('court_data/fetch_meta').etag, '"v1"');
+  assert.equal(db.store.get('tennis_court_data/fetch_meta').etag, '"v2"');
+});
+
+test('a lasting drop in the feed becomes the new baseline after consistent rejected snapshots', async () => {
+  const db = createFakeFirestore();
+  const storage = createFirestoreStorage(db);
+  const full = ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00'].map(start => court(start, 1));
+  const closed = full.slice(0, 3);
+  await cycle(storage, full, '"v1"');
+
+  // A one-off empty feed breaks the run of agreeing snapshots and is never accepted
+  assert.ok((await cycle(storage, closed, '"v2"')).rejected);
+  assert.ok((await cycle(storage, [], '"v3"')).rejected);
+  assert.ok((await cycle(storage, closed, '"v4"')).rejected);
+  assert.ok((await cycle(storage, closed, '"v5"')).rejected);
+  assert.equal(db.store.get('court_data/fetch_meta').etag, '"v1"');
+
+  const result = await cycle(storage, closed, '"v6"');
+  assert.ok(!result.rejected);
+  assert.equal(result.currentData.length, 3);
+  assert.equal(db.store.get('court_data/fetch_meta').etag, '"v6"');
+  assert.equal(db.store.get('court_data/fetch_meta').rejectedRun, null);
+
+  // The next snapshot is checked against the new baseline
+  assert.ok(!(await cycle(storage, closed, '"v7"')).rejected);
+});
+
+test('history is appended only for snapshots that were saved', async () => {
+  // Recording cycles write history (and metrics) relative to the working directory
+  const cwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'court-monitor-')));
+  try {
+    const db = createFakeFirestore();
+    const storage = createFirestoreStorage(db);
+    const record = (data, etag) => runFacilityCycles(new Map([['badminton', storage]]), { fetcher: fetcherOf(data, etag), record: true });
+    await record([court('18:00', 0)], '"v1"');
+    assert.equal([...readHistory({ dir: 'court_history' })].length, 1);
+
+    const saveCurrentData = storage.saveCurrentData;
+    storage.saveCurrentData = async () => {
+      throw new Error('deadline exceeded');
+    };
+    assert.equal(await record([court('18:00', 2)], '"v2"'), null);
+    assert.equal([...readHistory({ dir: 'court_history' })].length, 1);
+
+    storage.saveCurrentData = saveCurrentData;
+    await record([court('18:00', 2)], '"v2"');
+    assert.equal([...readHistory({ dir: 'court_history' })].length, 2);
+  } finally {
+    process.chdir(cwd);
+  }
+});
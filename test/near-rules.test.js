@@ -0,0 +1,38 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { reportUnlocatedVenues } from '../lib/subscriptions.js';
+import { buildVenueRegistry, locateChange } from '../lib/venues.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+const log = mock.method(console, 'log', () => {});
+
+function change(venue, district) {
+  return {
+    type: 'new_availability',
+    slotKey: `${venue}-2026-10-20-18:00`,
+    venue,
+    district,
+    date: '2026-10-20',
+    startTime: '18:00',
+    time: '18:00-19:00',
+    currentCount: 2,
+    previousCount: 0
+  };
+}
+
+test('venues without coordinates are reported once when a radius rule would otherwise match them', () => {
+  const registry = buildVenueRegistry([]);
+  const changes = [
+    change('Kowloon Park Sports Centre', 'Yau Tsim Mong'),
+    change('Nowhere Sports Centre', 'Sha Tin'),
+    change('Elsewhere Sports Centre', 'Eastern')
+  ].map(located => locateChange(located, registry));
+  const near = { lat: 22.30, lng: 114.17, radiusKm: 5 };
+
+  assert.deepEqual(reportUnlocatedVenues(changes, [{ id: 'plain', rules: [{}] }]), []);
+  assert.deepEqual(reportUnlocatedVenues(changes, [{ id: 'nearby', rules: [{ near, districts: ['Sha Tin'] }] }]), ['Nowhere Sports Centre']);
+  assert.match(log.mock.calls.at(-1).arguments[0], /No coordinates for Nowhere Sports Centre/);
+
+  assert.deepEqual(reportUnlocatedVenues(changes, [{ id: 'nearby', rules: [{ near }] }]), ['Elsewhere Sports Centre']);
+  assert.deepEqual(reportUnlocatedVenues(changes, [{ id: 'nearby', rules: [{ near }] }]), []);
+});
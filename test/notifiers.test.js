@@ -0,0 +1,113 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { postJson } from '../lib/notifiers/http.js';
+import { webhookNotifier, signWebhookBody } from '../lib/notifiers/webhook.js';
+import { formatEmail } from '../lib/notifiers/email.js';
+import { formatTelegramMessage } from '../lib/notifiers/telegram.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+// Each path answers with its queued responses in order, then 200
+const responses = new Map();
+const received = [];
+let server;
+let base;
+
+function respondWith(path, ...queued) {
+  responses.set(path, queued);
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+      const { status = 200, headers = {}, body: reply = { ok: true } } = responses.get(req.url)?.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function requestsTo(path) {
+  return received.filter(request => request.path === path);
+}
+
+test('5xx responses are retried with backoff until one succeeds', async () => {
+  respondWith('/flaky', { status: 503 });
+  const result = await postJson(`${base}/flaky`, { hello: 'world' });
+
+  assert.deepEqual(result, { ok: true });
+  const [first, second] = requestsTo('/flaky');
+  assert.equal(requestsTo('/flaky').length, 2);
+  assert.deepEqual(JSON.parse(second.body), { hello: 'world' });
+  assert.ok(second.at - first.at >= 900);
+});
+
+test('a 429 waits for the time the service asks for instead of the backoff', async () => {
+  respondWith('/limited', { status: 429, body: { ok: false, parameters: { retry_after: 0.05 } } });
+  respondWith('/limited-header', { status: 429, headers: { 'Retry-After': '0' } });
+
+  await postJson(`${base}/limited`, {});
+  await postJson(`${base}/limited-header`, {});
+
+  const [first, second] = requestsTo('/limited');
+  assert.ok(second.at - first.at >= 40 && second.at - first.at < 900);
+  assert.equal(requestsTo('/limited-header').length, 2);
+});
+
+test('4xx responses fail at once and a service that keeps failing gives up after three attempts', async () => {
+  respondWith('/rejected', { status: 400, body: { error: 'bad chat id' } });
+  await assert.rejects(postJson(`${base}/rejected`, {}, { label: 'Telegram' }), error => error.permanent && /status: 400/.test(error.message));
+  assert.equal(requestsTo('/rejected').length, 1);
+
+  respondWith('/down', { status: 500 }, { status: 502 }, { status: 503 }, { status: 504 });
+  await assert.rejects(postJson(`${base}/down`, {}), /status: 503/);
+  assert.equal(requestsTo('/down').length, 3);
+});
+
+test('webhook deliveries are signed and failures are counted per delivery', async () => {
+  respondWith('/gone', { status: 410 });
+  const notification = { subscriberId: 'sub', kind: 'alert', title: 'Courts', body: '2 courts', changes: [] };
+
+  const result = await webhookNotifier.send([
+    { notification, target: { url: `${base}/hook`, secret: 'shh' } },
+    { notification, target: { url: `${base}/gone`, secret: 'shh' } }
+  ]);
+
+  assert.deepEqual(result, { sent: 1, failed: 1 });
+  const [request] = requestsTo('/hook');
+  const timestamp = request.headers['x-court-monitor-timestamp'];
+  assert.equal(request.headers['x-court-monitor-signature'], `sha256=${signWebhookBody(request.body, 'shh', timestamp)}`);
+  assert.equal(JSON.parse(request.body).title, 'Courts');
+});
+
+test('the email footer names the monitored facility types', () => {
+  const notification = { title: '🎾 Tennis Court Available!', body: 'Victoria Park', changes: [] };
+  assert.match(formatEmail(notification).text, /\n--\nBadminton court monitor$/);
+  assert.match(formatEmail(notification, { facilities: ['tennis'] }).text, /\n--\nTennis court monitor$/);
+  assert.match(formatEmail(notification, { facilities: ['badminton', 'tennis', 'table_tennis'] }).text, /\n--\nBadminton, tennis and table tennis court monitor$/);
+});
+
+test('long Telegram messages are cut in the plain text, never inside an entity, tag or emoji', () => {
+  const visible = html => html.replace(/<\/?b>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  const short = formatTelegramMessage({ title: 'Courts <free>', body: 'Kowloon Park & Sha Tin' });
+  assert.equal(short, '<b>Courts &lt;free&gt;</b>\n\nKowloon Park &amp; Sha Tin');
+
+  for (let padding = 0; padding < 6; padding++) {
+    const body = `${'x'.repeat(4070 + padding)}${'&<🏸>'.repeat(10)}`;
+    const text = formatTelegramMessage({ title: 'Courts', body });
+    assert.ok(visible(text).length <= 4096, `padding ${padding}`);
+    assert.ok(text.startsWith('<b>Courts</b>\n\n') && text.endsWith('…'));
+    assert.doesNotMatch(text, /&(?!amp;|lt;|gt;)|[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    assert.equal(visible(text).slice(0, -1), `Courts\n\n${body}`.slice(0, visible(text).length - 1));
+  }
+});
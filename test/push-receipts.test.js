@@ -0,0 +1,71 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeFirestore } from './helpers/fake-firestore.js';
+import { SUBSCRIPTIONS_COLLECTION, removePushTokens, pushTokensOf } from '../lib/subscriptions.js';
+import { processPendingReceipts, recordPushResults, savePushReceipts } from '../lib/push-receipts.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const DEAD = 'ExponentPushToken[dead]';
+const ALIVE = 'ExponentPushToken[alive]';
+
+async function seed(db, subscribers) {
+  for (const [id, data] of Object.entries(subscribers)) {
+    await db.collection(SUBSCRIPTIONS_COLLECTION).doc(id).set({ enabled: true, channels: [], ...data, pushTokens: pushTokensOf(data) });
+  }
+}
+
+function subscriber(db, id) {
+  return db.store.get(`${SUBSCRIPTIONS_COLLECTION}/${id}`);
+}
+
+test('dead tokens are pruned from the top-level pushToken and from Expo channels', async () => {
+  const db = createFakeFirestore();
+  await seed(db, {
+    legacy: { pushToken: DEAD },
+    channelOnly: { channels: [{ type: 'expo', pushToken: DEAD }] },
+    mixed: { channels: [{ type: 'expo', pushToken: DEAD }, { type: 'telegram', chatId: '42' }] },
+    otherDevice: { pushToken: ALIVE, channels: [{ type: 'expo', pushToken: DEAD }] },
+    untouched: { pushToken: ALIVE }
+  });
+
+  await removePushTokens(db, [DEAD]);
+
+  assert.deepEqual(subscriber(db, 'legacy'), { enabled: false, channels: [], pushToken: null, pushTokens: [] });
+  assert.equal(subscriber(db, 'channelOnly').enabled, false);
+  assert.deepEqual(subscriber(db, 'channelOnly').channels, []);
+  assert.equal(subscriber(db, 'mixed').enabled, true);
+  assert.deepEqual(subscriber(db, 'mixed').channels, [{ type: 'telegram', chatId: '42' }]);
+  assert.equal(subscriber(db, 'otherDevice').enabled, true);
+  assert.equal(subscriber(db, 'otherDevice').pushToken, ALIVE);
+  assert.deepEqual(subscriber(db, 'otherDevice').pushTokens, [ALIVE]);
+  assert.deepEqual(subscriber(db, 'untouched'), { enabled: true, channels: [], pushToken: ALIVE, pushTokens: [ALIVE] });
+});
+
+test('a failed removal is rethrown', async () => {
+  const db = createFakeFirestore();
+  await seed(db, { legacy: { pushToken: DEAD } });
+  db.failOn('commit');
+
+  await assert.rejects(removePushTokens(db, [DEAD]));
+  assert.equal(subscriber(db, 'legacy').pushToken, DEAD);
+});
+
+test('dead tokens that could not be removed are kept and retried on the next run', async () => {
+  const db = createFakeFirestore();
+  await seed(db, { legacy: { pushToken: DEAD } });
+
+  const receipts = await processPendingReceipts(db);
+  db.failOn('commit');
+  await recordPushResults(db, receipts, { deadTokens: [DEAD], receiptIds: {} });
+  await savePushReceipts(db, receipts);
+  assert.equal(subscriber(db, 'legacy').pushToken, DEAD);
+  assert.deepEqual(db.store.get('court_data/push_receipts').deadTokens, [DEAD]);
+
+  // The next run removes the token without Expo reporting it again
+  const next = await processPendingReceipts(db);
+  assert.equal(subscriber(db, 'legacy').pushToken, null);
+  assert.deepEqual(next.deadTokens, []);
+});
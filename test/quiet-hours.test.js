@@ -0,0 +1,69 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectChanges } from '../lib/court-data.js';
+import { buildSubscriberNotifications } from '../lib/subscriptions.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+
+function court(date, start, courts) {
+  return {
+    Venue_Name_EN: 'Kowloon Park Sports Centre',
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: date,
+    Session_Start_Time: start,
+    Session_End_Time: `${parseInt(start, 10) + 1}:00`,
+    Available_Courts: String(courts)
+  };
+}
+
+const subscriber = {
+  id: 'night-owl',
+  name: 'Night owl',
+  pushToken: 'ExponentPushToken[night-owl]',
+  channels: [{ type: 'email', to: 'owl@example.com' }],
+  followUps: true,
+  rules: [],
+  quietHours: { from: '23:00', to: '07:00' },
+  urgency: { distantHours: 72, distantChannels: ['email'] }
+};
+
+// Session A (two days out) is alerted in the evening and taken at midnight; distant session B frees up at midnight
+const evening = [court('2026-10-21', '18:00', 2), court('2026-10-25', '18:00', 0)];
+const midnight = [court('2026-10-21', '18:00', 0), court('2026-10-25', '18:00', 3)];
+
+function cycle(alertState, previousData, currentData, now) {
+  const changes = previousData ? detectChanges(currentData, previousData) : [];
+  return buildSubscriberNotifications(changes, [subscriber], alertState, { currentData, previousData, now: new Date(now) });
+}
+
+test('non-urgent follow-ups and low-priority alerts are held during quiet hours and sent when they end', () => {
+  const alertState = {};
+  const before = [court('2026-10-21', '18:00', 0), court('2026-10-25', '18:00', 0)];
+  const first = cycle(alertState, before, evening, '2026-10-19T10:00:00Z'); // 18:00 in Hong Kong
+  assert.deepEqual(first.map(notification => notification.kind), ['alert']);
+
+  const quiet = cycle(alertState, evening, midnight, '2026-10-19T16:00:00Z'); // midnight in Hong Kong
+  assert.deepEqual(quiet, []);
+  assert.deepEqual(alertState[subscriber.id].heldAlerts.map(change => change.heldAs).sort(), ['follow_up', 'low_priority']);
+
+  const morning = cycle(alertState, midnight, midnight, '2026-10-19T23:30:00Z'); // 07:30 in Hong Kong
+  const byKind = Object.fromEntries(morning.map(notification => [`${notification.kind}/${notification.priority}`, notification]));
+  assert.deepEqual(Object.keys(byKind).sort(), ['alert/low', 'follow_up/normal']);
+  assert.deepEqual(byKind['alert/low'].channels.map(channel => channel.type), ['email']);
+  assert.equal(byKind['alert/low'].changes[0].date, '2026-10-25');
+  assert.equal(byKind['follow_up/normal'].changes[0].date, '2026-10-21');
+  assert.ok(byKind['alert/low'].changes.every(change => !('heldAs' in change)));
+  assert.deepEqual(alertState[subscriber.id].heldAlerts, []);
+});
+
+test('a held follow-up is dropped when the slot frees up again before quiet hours end', () => {
+  const alertState = {};
+  const before = [court('2026-10-21', '18:00', 0), court('2026-10-25', '18:00', 0)];
+  cycle(alertState, before, evening, '2026-10-19T10:00:00Z');
+  cycle(alertState, evening, midnight, '2026-10-19T16:00:00Z');
+
+  const reopened = [court('2026-10-21', '18:00', 1), court('2026-10-25', '18:00', 3)];
+  const morning = cycle(alertState, midnight, reopened, '2026-10-19T23:30:00Z');
+  assert.ok(!morning.some(notification => notification.kind === 'follow_up'));
+});
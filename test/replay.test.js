@@ -0,0 +1,76 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSnapshots, saveRawSnapshot } from '../lib/snapshots.js';
+import { replaySnapshots } from '../lib/replay.js';
+import { NOTIFIERS } from '../lib/notifiers/index.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const NINE = 'Kowloon Park Sports Centre-2026-10-20-9:00';
+const TEN = 'Kowloon Park Sports Centre-2026-10-20-10:00';
+
+function records(nine, ten) {
+  const court = (start, end, courts) => ({
+    Venue_Name_EN: 'Kowloon Park Sports Centre',
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: '2026-10-20',
+    Session_Start_Time: start,
+    Session_End_Time: end,
+    Available_Courts: String(courts)
+  });
+  return [court('9:00', '10:00', nine), court('10:00', '11:00', ten)];
+}
+
+function at(minutes) {
+  return new Date(Date.UTC(2026, 9, 20, 0, minutes));
+}
+
+test('recorded snapshots and plain record arrays load in time order', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  try {
+    saveRawSnapshot({ data: records(1, 0), etag: '"b"', lastModified: null, quarantined: [] }, { dir, fetchedAt: at(10) });
+    saveRawSnapshot({ data: records(0, 0), etag: '"a"', lastModified: null, quarantined: [] }, { dir, fetchedAt: at(5) });
+    const plain = path.join(dir, '..', `${path.basename(dir)}-plain.json`);
+    fs.writeFileSync(plain, JSON.stringify(records(0, 2)));
+
+    const snapshots = loadSnapshots([plain, dir], { intervalMinutes: 5, start: at(0) });
+    assert.deepEqual(snapshots.map(snapshot => snapshot.fetchedAt.toISOString()), [at(0), at(5), at(10)].map(date => date.toISOString()));
+    assert.equal(snapshots[0].file, plain);
+    assert.equal(snapshots[2].records[0].Available_Courts, '1');
+    fs.unlinkSync(plain);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a replay reports the alerts that would have fired, honouring cooldowns and rejected snapshots', async () => {
+  const snapshots = [
+    records(0, 0),
+    records(2, 0),
+    records(0, 0),
+    [],
+    records(2, 0),
+    records(2, 1)
+  ].map((data, index) => ({ file: `s${index}`, fetchedAt: at(index * 5), records: data }));
+  const notifiers = { ...NOTIFIERS };
+
+  const { steps, alerts } = await replaySnapshots(snapshots);
+
+  assert.deepEqual(alerts.map(alert => [alert.time, alert.kind, alert.slots]), [
+    [at(5).toISOString(), 'alert', [NINE]],
+    [at(25).toISOString(), 'alert', [TEN]]
+  ]);
+  // The empty snapshot is rejected and the one after it is compared with the last good one
+  assert.equal(steps[3].rejected, true);
+  assert.equal(steps[3].changes, 0);
+  assert.equal(steps[4].changes, 1);
+  // The re-opened 9:00 session is still inside the alert cooldown
+  assert.deepEqual(steps[4].alerts, []);
+  // The real notifiers are put back
+  assert.deepEqual(NOTIFIERS, notifiers);
+});
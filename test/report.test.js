@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHtmlReport } from '../lib/report.js';
+
+function court(start, end, courts) {
+  return {
+    Venue_Name_EN: 'Kowloon Park Sports Centre',
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: '2026-10-20',
+    Session_Start_Time: start,
+    Session_End_Time: end,
+    Available_Courts: String(courts)
+  };
+}
+
+test('heatmap columns follow the time of day, whether or not the hour is zero-padded', () => {
+  const html = buildHtmlReport({ currentData: [court('21:00', '22:00', 1), court('9:00', '10:00', 2), court('10:00', '11:00', 0)] });
+  const header = html.match(/<thead><tr>(.*?)<\/tr><\/thead>/)[1];
+  assert.deepEqual([...header.matchAll(/<th>(\d+:\d+)<\/th>/g)].map(match => match[1]), ['9:00', '10:00', '21:00']);
+});
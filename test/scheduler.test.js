@@ -0,0 +1,84 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReleaseWindows, inReleaseWindow, nextPollDelay, runDaemon } from '../lib/scheduler.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+const errors = mock.method(console, 'error', () => {});
+
+const OPTIONS = {
+  interval: 300 * 1000,
+  fastInterval: 60 * 1000,
+  jitter: 20 * 1000,
+  releaseWindows: parseReleaseWindows('07:00-07:30,23:30-00:15')
+};
+
+test('release windows are parsed into minutes after midnight', () => {
+  assert.deepEqual(parseReleaseWindows(' 7:00-07:30 , 19:00-19:15,'), [{ from: 420, to: 450 }, { from: 1140, to: 1155 }]);
+  assert.deepEqual(parseReleaseWindows(''), []);
+  assert.throws(() => parseReleaseWindows('07:00'), /Invalid release window "07:00"/);
+});
+
+test('release windows are in Hong Kong time, and may span midnight', () => {
+  const at = iso => inReleaseWindow(new Date(iso), OPTIONS.releaseWindows);
+  assert.equal(at('2026-10-19T23:00:00Z'), true); // 07:00 in Hong Kong
+  assert.equal(at('2026-10-19T23:29:59Z'), true);
+  assert.equal(at('2026-10-19T23:30:00Z'), false); // the end is exclusive
+  assert.equal(at('2026-10-19T07:00:00Z'), false); // 07:00 UTC is 15:00 in Hong Kong
+  assert.equal(at('2026-10-19T15:45:00Z'), true); // 23:45
+  assert.equal(at('2026-10-19T16:10:00Z'), true); // 00:10
+  assert.equal(at('2026-10-19T16:15:00Z'), false);
+});
+
+test('the poll interval is shortened inside release windows and jittered either way', () => {
+  const random = mock.method(Math, 'random', () => 0.5);
+  try {
+    assert.equal(nextPollDelay(new Date('2026-10-19T12:00:00Z'), OPTIONS), 300 * 1000);
+    assert.equal(nextPollDelay(new Date('2026-10-19T23:10:00Z'), OPTIONS), 60 * 1000);
+
+    random.mock.mockImplementation(() => 0);
+    assert.equal(nextPollDelay(new Date('2026-10-19T12:00:00Z'), OPTIONS), 280 * 1000);
+    random.mock.mockImplementation(() => 0.999999);
+    assert.ok(Math.abs(nextPollDelay(new Date('2026-10-19T12:00:00Z'), OPTIONS) - 320 * 1000) < 100);
+
+    // Jitter never brings the delay under 10 seconds
+    random.mock.mockImplementation(() => 0);
+    assert.equal(nextPollDelay(new Date('2026-10-19T23:10:00Z'), { ...OPTIONS, fastInterval: 15 * 1000, jitter: 20 * 1000 }), 10 * 1000);
+  } finally {
+    random.mock.restore();
+  }
+});
+
+test('SIGTERM during a cycle lets the cycle finish and stops before the next one', async () => {
+  const listeners = process.listenerCount('SIGTERM');
+  let cycles = 0;
+  let finished = 0;
+  await runDaemon(async () => {
+    cycles++;
+    process.emit('SIGTERM', 'SIGTERM');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    finished++;
+  }, OPTIONS);
+
+  assert.equal(cycles, 1);
+  assert.equal(finished, 1);
+  assert.equal(process.listenerCount('SIGTERM'), listeners);
+});
+
+test('SIGTERM wakes the daemon from its sleep, and a failed cycle does not stop it', async () => {
+  errors.mock.resetCalls();
+  let cycles = 0;
+  const startedAt = Date.now();
+  const stopped = runDaemon(async () => {
+    cycles++;
+    throw new Error('feed unreachable');
+  }, OPTIONS);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  process.emit('SIGTERM', 'SIGTERM');
+  await stopped;
+
+  assert.equal(cycles, 1);
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.match(errors.mock.calls[0].arguments[0], /Error in daemon cycle/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSessionBlocks, detectBlockChanges } from '../lib/session-blocks.js';
+
+function session(start, end, courts, { venue = 'Kowloon Park Sports Centre', date = '2026-10-20' } = {}) {
+  return {
+    Venue_Name_EN: venue,
+    District_Name_EN: 'Yau Tsim Mong',
+    Available_Date: date,
+    Session_Start_Time: start,
+    Session_End_Time: end,
+    Available_Courts: String(courts)
+  };
+}
+
+const times = runs => runs.map(run => run.map(court => court.Session_Start_Time));
+
+test('a gap between sessions ends a block', () => {
+  const data = [session('18:00', '19:00', 2), session('19:00', '20:00', 2), session('21:00', '22:00', 2), session('22:00', '23:00', 1)];
+  assert.deepEqual(times(findSessionBlocks(data, { hours: 2 })), [['18:00', '19:00'], ['21:00', '22:00']]);
+  assert.deepEqual(findSessionBlocks(data, { hours: 3 }), []);
+});
+
+test('sessions are ordered by time, not as strings, and kept apart by venue and date', () => {
+  const data = [
+    session('10:00', '11:00', 1),
+    session('9:00', '10:00', 1),
+    session('9:00', '10:00', 1, { date: '2026-10-21' }),
+    session('10:00', '11:00', 1, { venue: 'Victoria Park Sports Centre' })
+  ];
+  assert.deepEqual(times(findSessionBlocks(data, { hours: 2 })), [['9:00', '10:00']]);
+});
+
+test('every session of a block needs minCourts courts', () => {
+  const data = [session('18:00', '19:00', 3), session('19:00', '20:00', 1), session('20:00', '21:00', 2), session('21:00', '22:00', 2)];
+  assert.deepEqual(times(findSessionBlocks(data, { hours: 2, minCourts: 2 })), [['20:00', '21:00']]);
+  assert.deepEqual(times(findSessionBlocks(data, { hours: 4, minCourts: 1 })), [['18:00', '19:00', '20:00', '21:00']]);
+  assert.deepEqual(findSessionBlocks([session('18:00', '19:00', 0), session('19:00', '20:00', 0)], { hours: 2, minCourts: 0 }).length, 1);
+});
+
+test('fractional blockHours round up to whole sessions', () => {
+  const data = [session('18:00', '19:00', 1), session('19:00', '20:00', 1)];
+  assert.equal(findSessionBlocks(data, { hours: 1.5 }).length, 1);
+  assert.equal(findSessionBlocks(data, { hours: 2.5 }).length, 0);
+  assert.equal(findSessionBlocks([session('18:00', '18:30', 1), session('18:30', '19:00', 1)], { hours: 0.5 }).length, 1);
+
+  const [change] = detectBlockChanges(data, [], { hours: 1.5 });
+  assert.equal(change.hours, 2);
+  assert.equal(change.time, '18:00-20:00');
+});
+
+test('a block can run up to midnight', () => {
+  const data = [session('22:00', '23:00', 2), session('23:00', '00:00', 2), session('00:00', '01:00', 2, { date: '2026-10-21' })];
+  const [run] = findSessionBlocks(data, { hours: 2 });
+  assert.deepEqual(times([run]), [['22:00', '23:00']]);
+
+  const [change] = detectBlockChanges(data, [], { hours: 2 });
+  assert.equal(change.time, '22:00-00:00');
+  assert.equal(change.hours, 2);
+  assert.equal(change.currentCount, 2);
+});
+
+test('a block is reported when a freed session completes it, but not again', () => {
+  const before = [session('18:00', '19:00', 2), session('19:00', '20:00', 0), session('20:00', '21:00', 2)];
+  const after = [session('18:00', '19:00', 2), session('19:00', '20:00', 1), session('20:00', '21:00', 2)];
+
+  const [change] = detectBlockChanges(after, before, { hours: 3 });
+  assert.equal(change.type, 'block_available');
+  assert.equal(change.sessions, 3);
+  assert.equal(change.currentCount, 1);
+  assert.deepEqual(detectBlockChanges(after, after, { hours: 3 }), []);
+  assert.deepEqual(detectBlockChanges(after, null, { hours: 3 }), []);
+});
@@ -0,0 +1,80 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeFirestore } from './helpers/fake-firestore.js';
+import { createMemoryStorage } from '../lib/storage/memory.js';
+import { createFileStorage } from '../lib/storage/file.js';
+import { createFirestoreStorage } from '../lib/storage/firestore.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+function snapshot(venues, courts = 1) {
+  const data = [];
+  for (let v = 0; v < venues; v++) {
+    for (let hour = 7; hour < 17; hour++) {
+      data.push({
+        Venue_Name_EN: `Venue ${v}`,
+        District_Name_EN: 'Yau Tsim Mong',
+        Available_Date: '2026-10-20',
+        Session_Start_Time: `${hour}:00`,
+        Session_End_Time: `${hour + 1}:00`,
+        Available_Courts: String(courts)
+      });
+    }
+  }
+  return data;
+}
+
+function sorted(data) {
+  const key = court => `${court.Venue_Name_EN}|${court.Session_Start_Time.padStart(5, '0')}`;
+  return [...data].sort((a, b) => key(a).localeCompare(key(b)));
+}
+
+// Every backend starts empty, and a new instance (a later run) reads back what was saved
+async function roundTrip(open) {
+  const first = open();
+  assert.equal(await first.loadPreviousData(), null);
+  await first.saveCurrentData(snapshot(25));
+
+  const second = open();
+  assert.deepEqual(sorted(await second.loadPreviousData()), sorted(snapshot(25)));
+  await second.saveCurrentData(snapshot(5, 3));
+
+  assert.deepEqual(sorted(await open().loadPreviousData()), sorted(snapshot(5, 3)));
+}
+
+test('memory storage keeps the last snapshot for the life of the instance', async () => {
+  const storage = createMemoryStorage();
+  assert.equal(await storage.loadPreviousData(), null);
+  await storage.saveCurrentData(snapshot(2));
+  assert.deepEqual(await storage.loadPreviousData(), snapshot(2));
+});
+
+test('file storage round-trips snapshots through the data file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  try {
+    await roundTrip(() => createFileStorage(path.join(dir, 'previous_court_data.json')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a corrupt data file is treated as a first run', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  try {
+    const file = path.join(dir, 'previous_court_data.json');
+    fs.writeFileSync(file, '[{"Venue_Name_EN": "Kowl');
+    assert.equal(await createFileStorage(file).loadPreviousData(), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Firestore storage round-trips snapshots, including one that shrinks', async () => {
+  const db = createFakeFirestore();
+  await roundTrip(() => createFirestoreStorage(db));
+});
@@ -0,0 +1,116 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createFakeFirestore } from './helpers/fake-firestore.js';
+import { createMonitorState } from '../lib/monitor-state.js';
+import { createApiHandler } from '../lib/api-server.js';
+import { createSubscriberApi } from '../lib/subscriber-api.js';
+import { SUBSCRIPTIONS_COLLECTION, addSubscription, loadSubscriptions, findPushTokenOwners } from '../lib/subscriptions.js';
+
+// Library progress logs go to stdout, which the Node 20 test runner also reads
+mock.method(console, 'log', () => {});
+
+const TOKEN = 'ExponentPushToken[victim]';
+const db = createFakeFirestore();
+let server;
+let base;
+
+function request(method, path, body, accessToken) {
+  return fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(accessToken && { Authorization: `Bearer ${accessToken}` }) },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function subscriber(id) {
+  return (await db.collection(SUBSCRIPTIONS_COLLECTION).doc(id).get()).data();
+}
+
+before(async () => {
+  server = http.createServer(createApiHandler(createMonitorState(), { subscriberApi: createSubscriberApi(db) }));
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('a push token held by another subscriber cannot be registered without its access token', async () => {
+  const victim = await (await request('POST', '/subscribers', { pushToken: TOKEN, name: 'Victim' })).json();
+
+  const res = await request('POST', '/subscribers', { pushToken: TOKEN, name: 'Attacker' });
+  assert.equal(res.status, 409);
+  const kept = await subscriber(victim.id);
+  assert.equal(kept.pushToken, TOKEN);
+  assert.equal(kept.enabled, true);
+
+  const own = await request('POST', '/subscribers', { pushToken: TOKEN, name: 'Reinstalled' }, victim.accessToken);
+  assert.equal(own.status, 200);
+  const reregistered = await own.json();
+  assert.equal(reregistered.id, victim.id);
+  assert.equal(reregistered.subscriber.name, 'Reinstalled');
+  assert.equal((await subscriber(victim.id)).pushToken, TOKEN);
+});
+
+test('re-registering with the owner\'s access token updates that subscriber instead of adding another', async () => {
+  const first = await (await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[reinstall]', name: 'Phone' })).json();
+  await request('PATCH', '/subscribers/me', { rules: [{ districts: ['Sha Tin'] }] }, first.accessToken);
+
+  const res = await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[reinstalled]', language: 'zh-HK' }, first.accessToken);
+  assert.equal(res.status, 200);
+  const again = await res.json();
+  assert.equal(again.id, first.id);
+
+  const owners = await findPushTokenOwners(db, ['ExponentPushToken[reinstall]', 'ExponentPushToken[reinstalled]']);
+  assert.deepEqual(owners.map(doc => doc.id), [first.id]);
+  const stored = await subscriber(first.id);
+  assert.equal(stored.pushToken, 'ExponentPushToken[reinstalled]');
+  assert.deepEqual(stored.pushTokens, ['ExponentPushToken[reinstalled]']);
+  assert.equal(stored.name, 'Phone');
+  assert.equal(stored.language, 'zh-HK');
+  assert.deepEqual(stored.rules, [{ districts: ['Sha Tin'] }]);
+
+  // The new access token replaces the old one
+  assert.equal((await request('GET', '/subscribers/me', undefined, first.accessToken)).status, 401);
+  assert.equal((await request('GET', '/subscribers/me', undefined, again.accessToken)).status, 200);
+});
+
+test('a push token held as an Expo channel is protected too', async () => {
+  await addSubscription(db, {
+    name: 'Operator',
+    channels: [{ type: 'expo', pushToken: 'ExponentPushToken[channel]', label: 'Operator phone' }]
+  });
+  const res = await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[channel]' });
+  assert.equal(res.status, 409);
+});
+
+test('subscriptions saved without pushTokens get it filled in when subscriptions are loaded', async () => {
+  await db.collection(SUBSCRIPTIONS_COLLECTION).doc('legacy').set({
+    name: 'Legacy',
+    enabled: true,
+    channels: [{ type: 'telegram', chatId: '-100123' }, { type: 'expo', pushToken: 'ExponentPushToken[legacy]' }]
+  });
+  assert.deepEqual(await findPushTokenOwners(db, ['ExponentPushToken[legacy]']), []);
+
+  await loadSubscriptions(db);
+  assert.deepEqual((await subscriber('legacy')).pushTokens, ['ExponentPushToken[legacy]']);
+  assert.equal((await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[legacy]' })).status, 409);
+});
+
+test("rotating to another subscriber's push token is refused", async () => {
+  const first = await (await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[first]' })).json();
+  const second = await (await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[second]' })).json();
+
+  const res = await request('PUT', '/subscribers/me/push-token', { pushToken: 'ExponentPushToken[first]' }, second.accessToken);
+  assert.equal(res.status, 409);
+  assert.equal((await subscriber(first.id)).pushToken, 'ExponentPushToken[first]');
+
+  const own = await request('PUT', '/subscribers/me/push-token', { pushToken: 'ExponentPushToken[rotated]' }, second.accessToken);
+  assert.equal(own.status, 200);
+  assert.equal((await subscriber(second.id)).pushToken, 'ExponentPushToken[rotated]');
+});
+
+test('registration with an unknown access token is rejected', async () => {
+  const res = await request('POST', '/subscribers', { pushToken: 'ExponentPushToken[new]' }, 'not-a-token');
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesRule, matchChangesForSubscriber } from '../lib/subscriptions.js';
+
+// 2026-10-20 is a Tuesday
+function change(overrides = {}) {
+  return {
+    type: 'new_availability',
+    slotKey: 'Kowloon Park Sports Centre-2026-10-20-19:00',
+    venue: 'Kowloon Park Sports Centre',
+    district: 'Yau Tsim Mong',
+    date: '2026-10-20',
+    startTime: '19:00',
+    time: '19:00-20:00',
+    currentCount: 2,
+    previousCount: 0,
+    ...overrides
+  };
+}
+
+test('venues and districts match whole names, ignoring case and spacing', () => {
+  assert.ok(matchesRule(change(), { venues: [' kowloon park sports centre'] }));
+  assert.ok(!matchesRule(change(), { venues: ['Kowloon Park'] }));
+  assert.ok(matchesRule(change(), { districts: ['Wan Chai', 'YAU TSIM MONG'] }));
+  assert.ok(!matchesRule(change(), { districts: ['Wan Chai'] }));
+});
+
+test('weekdays accept short names, full names and indexes of the session date', () => {
+  assert.ok(matchesRule(change(), { weekdays: ['Tue'] }));
+  assert.ok(matchesRule(change(), { weekdays: ['tuesday'] }));
+  assert.ok(matchesRule(change(), { weekdays: [2] }));
+  assert.ok(!matchesRule(change(), { weekdays: ['Mon', 'Sat', 0] }));
+});
+
+test('start time ranges are inclusive and compare unpadded hours by time of day', () => {
+  const rule = { startTime: { from: '18:00', to: '21:00' } };
+  assert.ok(matchesRule(change({ startTime: '18:00' }), rule));
+  assert.ok(matchesRule(change({ startTime: '21:00' }), rule));
+  assert.ok(!matchesRule(change({ startTime: '9:00' }), rule));
+  assert.ok(!matchesRule(change({ startTime: '21:30' }), rule));
+  assert.ok(matchesRule(change({ startTime: '7:00' }), { startTime: { to: '08:00' } }));
+});
+
+test('minCourts needs at least that many courts', () => {
+  assert.ok(matchesRule(change({ currentCount: 2 }), { minCourts: 2 }));
+  assert.ok(!matchesRule(change({ currentCount: 1 }), { minCourts: 2 }));
+});
+
+test('a subscriber gets the changes matching any of its rules, or every change without rules', () => {
+  const changes = [
+    change(),
+    change({ venue: 'Sha Tin Sports Centre', district: 'Sha Tin', slotKey: 'Sha Tin Sports Centre-2026-10-20-19:00' }),
+    change({ startTime: '9:00', slotKey: 'Kowloon Park Sports Centre-2026-10-20-9:00' })
+  ];
+  const subscriber = {
+    rules: [
+      { districts: ['Sha Tin'] },
+      { venues: ['Kowloon Park Sports Centre'], startTime: { from: '18:00' } }
+    ]
+  };
+
+  assert.deepEqual(matchChangesForSubscriber(changes, subscriber), changes.slice(0, 2));
+  assert.deepEqual(matchChangesForSubscriber(changes, { rules: [] }), changes);
+});